@@ -3,6 +3,9 @@ import express from 'express';
 import morgan from 'morgan';
 import Airtable from 'airtable';
 import fetch from 'node-fetch';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
 import {
   Client,
   GatewayIntentBits,
@@ -14,6 +17,8 @@ import {
   ModalBuilder,
   TextInputBuilder,
   TextInputStyle,
+  StringSelectMenuBuilder,
+  SlashCommandBuilder,
   Events
 } from 'discord.js';
 
@@ -22,6 +27,8 @@ import {
 const {
   DISCORD_TOKEN,
   DISCORD_DEALS_CHANNEL_ID, // can be comma-separated IDs
+  DISCORD_GUILD_ID,         // optional: register slash commands on this guild only
+  DISCORD_ADMIN_ROLE_IDS,   // comma-separated role IDs allowed to use /deal
   AIRTABLE_API_KEY,
   AIRTABLE_BASE_ID,
   AIRTABLE_INVENTORY_TABLE,
@@ -29,6 +36,16 @@ const {
   AIRTABLE_SELLERS_TABLE,
   AIRTABLE_ORDERS_TABLE,
   MAKE_CLAIM_WEBHOOK_URL,      // Make webhook URL (optional)
+  DATA_DIR,                    // where local state files are kept (default ./data)
+  API_KEYS,                    // caller:secret pairs for the HTTP API (comma-separated)
+  API_AUTH_DISABLED,           // "true": run the HTTP API without authentication (local development only)
+  DEAL_ROUTING_CONFIG,         // path to deal routing rules (default ./config/deal-routing.json)
+  CLAIM_MAPPING_CONFIG,        // path to claim → Inventory Unit overrides (default ./config/claim-mapping.json)
+  VAT_RATE = '0.21',           // VAT rate used to compare VAT-deductible prices with margin prices
+  DISCORD_STAFF_OFFERS_CHANNEL_ID, // optional: staff-only feed of partner offers (Accept / Reject cards)
+  NOTIFY_LOSING_OFFERS,            // "true": tell sellers when another offer was accepted
+  CLAIM_SCORE_GATES,               // minPayout:minScore pairs gating high-value claims (comma-separated)
+  CLAIM_LIMITS_CONFIG,             // path to per-seller / per-tier claim limits (default ./config/claim-limits.json)
   PORT = 10000
 } = process.env;
 
@@ -47,6 +64,20 @@ if (dealsChannelIds.length === 0) {
   process.exit(1);
 }
 
+// Roles allowed to use the admin commands (comma-separated)
+const adminRoleIds = (DISCORD_ADMIN_ROLE_IDS || '').split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+const staffOffersChannelId = (DISCORD_STAFF_OFFERS_CHANNEL_ID || '').trim() || null;
+const notifyLosingOffers   = NOTIFY_LOSING_OFFERS === 'true';
+
+const vatRate = Number(VAT_RATE);
+if (!Number.isFinite(vatRate) || vatRate < 0) {
+  console.error('❌ Invalid VAT_RATE.');
+  process.exit(1);
+}
+
 /* ---------------- Airtable ---------------- */
 
 const base = new Airtable({ apiKey: AIRTABLE_API_KEY }).base(AIRTABLE_BASE_ID);
@@ -56,6 +87,59 @@ const partnerOffersTableName  = AIRTABLE_PARTNER_OFFERS_TABLE  || 'Partner Offer
 const sellersTableName        = AIRTABLE_SELLERS_TABLE         || 'Sellers Database';
 const ordersTableName         = AIRTABLE_ORDERS_TABLE          || 'Unfulfilled Orders Log';
 
+/* ---------------- Local JSON store ---------------- */
+
+const dataDir = DATA_DIR || './data';
+
+/**
+ * Small JSON-file backed store for state that has to survive restarts.
+ * Loaded synchronously at startup; save() writes atomically (tmp file + rename)
+ * and saves are serialised so they never interleave.
+ */
+function createJsonStore(fileName, defaults) {
+  const filePath = path.join(dataDir, fileName);
+  let data = structuredClone(defaults);
+
+  try {
+    data = { ...data, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      console.error(`Failed to load ${filePath}, starting empty:`, e);
+    }
+  }
+
+  let writing = Promise.resolve();
+
+  return {
+    data,
+    save() {
+      writing = writing
+        .then(async () => {
+          await fs.promises.mkdir(dataDir, { recursive: true });
+          const tmpPath = `${filePath}.tmp`;
+          await fs.promises.writeFile(tmpPath, JSON.stringify(data));
+          await fs.promises.rename(tmpPath, filePath);
+        })
+        .catch(e => console.error(`Failed to write ${filePath}:`, e));
+      return writing;
+    }
+  };
+}
+
+/**
+ * Load an optional JSON config file. A missing file gives the fallback;
+ * an unreadable one stops the bot, like missing env vars do.
+ */
+function loadJsonConfig(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return fallback;
+    console.error(`❌ Invalid config file ${filePath}:`, e);
+    process.exit(1);
+  }
+}
+
 /* ---------------- Discord ---------------- */
 
 const client = new Client({
@@ -74,9 +158,55 @@ client.login(DISCORD_TOKEN);
 
 /* ---------------- Constants / Helpers ---------------- */
 
-// Step size for undercutting partner offers
+// Step size for undercutting partner offers (on the net basis, see toNetPrice)
 const MIN_UNDERCUT_STEP = 2.5;
 
+// VAT types a partner can sell under (values of the Airtable "VAT Type" fields)
+const VAT_MARGIN     = 'Margin';
+const VAT_DEDUCTIBLE = 'VAT Deductible';
+const VAT_TYPES      = [VAT_MARGIN, VAT_DEDUCTIBLE];
+
+/**
+ * Map user / payload input ("margin", "vat", "VAT Deductible", …) to a VAT type.
+ * Returns null for anything unrecognised.
+ */
+function parseVatType(value) {
+  const v = String(value || '').trim().toLowerCase();
+  if (['margin', 'm'].includes(v)) return VAT_MARGIN;
+  if (['vat', 'vat deductible', 'deductible', 'v'].includes(v)) return VAT_DEDUCTIBLE;
+  return null;
+}
+
+/**
+ * Net cost of a price: VAT on VAT-deductible stock is reclaimed,
+ * margin-scheme stock has no reclaimable VAT.
+ */
+function toNetPrice(price, vatType) {
+  return vatType === VAT_DEDUCTIBLE ? price / (1 + vatRate) : price;
+}
+
+function fromNetPrice(net, vatType) {
+  return vatType === VAT_DEDUCTIBLE ? net * (1 + vatRate) : net;
+}
+
+/**
+ * The payout a partner gets for a deal under the given VAT type.
+ * deal.startPayout is quoted in deal.vatType (Margin if not set).
+ */
+function getPayoutForVatType(deal, vatType) {
+  const net = toNetPrice(deal.startPayout, deal.vatType || VAT_MARGIN);
+  return Math.round(fromNetPrice(net, vatType) * 100) / 100;
+}
+
+/**
+ * "€100.00 Margin / €121.00 VAT Deductible" for a net amount.
+ */
+function formatNetPrice(net) {
+  return VAT_TYPES
+    .map(vatType => `€${fromNetPrice(net, vatType).toFixed(2)} ${vatType}`)
+    .join(' / ');
+}
+
 /**
  * Safely parse a numeric field from Airtable (number or string).
  */
@@ -89,20 +219,9 @@ function parseNumericField(value) {
   return null;
 }
 
-/**
- * Extract value from description lines like:
- *  "**SKU:** 1234"
- * with label = "**SKU:**"
- */
-function getValueFromLines(lines, label) {
-  const line = lines.find(l => l.startsWith(label));
-  if (!line) return '';
-  return line.split(label)[1].trim();
-}
-
 /**
  * Find order record based on one of its Discord message IDs.
- * Works even if Partner Deal Message ID stores multiple IDs (comma-separated).
+ * Works even if Partner Deal Message ID stores multiple references (comma-separated).
  */
 async function findOrderRecordIdByMessageId(messageId) {
   const records = await base(ordersTableName)
@@ -115,11 +234,60 @@ async function findOrderRecordIdByMessageId(messageId) {
   return records[0]?.id || null;
 }
 
+/**
+ * Escape a value for use inside a double-quoted Airtable formula string.
+ */
+function escapeFormulaString(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+/**
+ * Formula matching records whose linked-record field contains the given
+ * primary value exactly (linked fields resolve to primary values in formulas).
+ */
+function linkedPrimaryFormula(fieldName, primaryValue) {
+  return `FIND("|${escapeFormulaString(primaryValue)}|", "|" & ARRAYJOIN({${fieldName}}, "|") & "|")`;
+}
+
+/**
+ * Find an order in "Unfulfilled Orders Log" by its Order ID.
+ */
+async function findOrderRecordByOrderId(orderId) {
+  const records = await base(ordersTableName)
+    .select({
+      maxRecords: 1,
+      filterByFormula: `{Order ID} = "${escapeFormulaString(orderId)}"`
+    })
+    .firstPage();
+
+  return records[0] || null;
+}
+
+/**
+ * Load several "Unfulfilled Orders Log" records by record ID.
+ */
+async function findOrderRecordsByIds(orderRecordIds) {
+  const records = [];
+
+  // Keep formulas short: 50 IDs per request
+  for (let i = 0; i < orderRecordIds.length; i += 50) {
+    const chunk = orderRecordIds.slice(i, i + 50);
+    const page = await base(ordersTableName)
+      .select({
+        filterByFormula: `OR(${chunk.map(id => `RECORD_ID() = "${id}"`).join(', ')})`
+      })
+      .all();
+    records.push(...page);
+  }
+
+  return records;
+}
+
 /**
  * Find Seller record in Sellers Database by Seller Code (e.g. "SE-00385")
  * Assumes primary / first column in Sellers Database is "Seller ID"
  */
-async function findSellerRecordIdByCode(sellerCode) {
+async function findSellerRecordByCode(sellerCode) {
   if (!sellerCode) return null;
 
   const sellersTable = base(sellersTableName);
@@ -132,636 +300,4581 @@ async function findSellerRecordIdByCode(sellerCode) {
     .firstPage();
 
   if (!records || records.length === 0) return null;
-  return records[0].id;
+  return records[0];
+}
+
+async function findSellerRecordIdByCode(sellerCode) {
+  const record = await findSellerRecordByCode(sellerCode);
+  return record?.id || null;
 }
 
 /**
- * Get the current lowest Partner Offer for a given order.
- * Looks at Partner Offers linked to that order and returns the lowest price (number),
- * or null if no offers exist yet.
+ * Normalise a linked-record field value to an array of record IDs.
+ * Airtable-js returns either recordId strings or objects { id, name }.
  */
-async function getCurrentLowestPartnerOffer(orderRecordId) {
-  if (!orderRecordId) return null;
+function getLinkedRecordIds(value) {
+  if (!Array.isArray(value)) return [];
+
+  return value
+    .map(link => {
+      if (typeof link === 'string') return link;
+      if (link && typeof link === 'object' && 'id' in link) return link.id;
+      return null;
+    })
+    .filter(Boolean);
+}
+
+/* ---- Partner Offer index ---- */
+
+// Offers changed outside the bot (e.g. edited in Airtable) are picked up this often
+const OFFER_INDEX_REFRESH_MS     = 60 * 1000;
+// Full re-read, so offers deleted in Airtable drop out of the index too
+const OFFER_INDEX_FULL_SYNC_MS   = 6 * 60 * 60 * 1000;
+// Overlap between incremental refreshes, to cover clock skew with Airtable
+const OFFER_INDEX_OVERLAP_MS     = 60 * 1000;
+const OFFER_STATUS_FIELD_NAME    = 'Offer Status'; // field in Partner Offers
+const OFFER_STATUS_REJECTED      = 'Rejected';     // rejected offers are left out of the index
+const OFFER_STATUS_ACCEPTED      = 'Accepted';
+const OFFER_STATUS_LOST          = 'Lost';         // another offer on the order was accepted
+const OFFER_INDEX_FIELDS         = ['Partner Offer', 'VAT Type', 'Linked Orders', 'Seller ID', OFFER_STATUS_FIELD_NAME];
+
+// orderRecordId → Map(offerRecordId → offer)
+const offerIndex = new Map();
+// offerRecordId → order record IDs the offer is indexed under
+const offerIndexOrders = new Map();
+
+let offerIndexWarm     = null; // Promise of the initial full load
+let offerIndexSyncedAt = null; // ms timestamp of the last successful sync
+
+function removeOfferFromIndex(offerRecordId) {
+  for (const orderRecordId of offerIndexOrders.get(offerRecordId) || []) {
+    const offers = offerIndex.get(orderRecordId);
+    offers?.delete(offerRecordId);
+    if (offers?.size === 0) offerIndex.delete(orderRecordId);
+  }
+  offerIndexOrders.delete(offerRecordId);
+}
 
-  const partnerOffersTable = base(partnerOffersTableName);
+/**
+ * Add (or replace) a Partner Offers record in the index.
+ * Offers without a valid price and rejected offers are left out.
+ */
+function indexPartnerOfferRecord(rec) {
+  removeOfferFromIndex(rec.id);
+
+  const offer = {
+    id: rec.id,
+    price: parseNumericField(rec.get('Partner Offer')),
+    vatType: parseVatType(rec.get('VAT Type')) || VAT_MARGIN,
+    sellerRecordId: getLinkedRecordIds(rec.get('Seller ID'))[0] || null,
+    createdTime: rec._rawJson?.createdTime || null
+  };
+  if (!Number.isFinite(offer.price)) return;
+  if (rec.get(OFFER_STATUS_FIELD_NAME) === OFFER_STATUS_REJECTED) return;
 
-  // Fetch all partner offers and filter in JS on Linked Orders
-  const allOffers = await partnerOffersTable.select().all();
+  offer.net = toNetPrice(offer.price, offer.vatType);
 
-  const offersForOrder = allOffers.filter(rec => {
-    const links = rec.get('Linked Orders');
-    if (!Array.isArray(links)) return false;
+  const orderRecordIds = getLinkedRecordIds(rec.get('Linked Orders'));
+  for (const orderRecordId of orderRecordIds) {
+    if (!offerIndex.has(orderRecordId)) offerIndex.set(orderRecordId, new Map());
+    offerIndex.get(orderRecordId).set(rec.id, offer);
+  }
+  offerIndexOrders.set(rec.id, orderRecordIds);
+}
 
-    return links.some(link => {
-      if (!link) return false;
+async function loadOfferIndex() {
+  const startedAt = Date.now();
+  const records = await base(partnerOffersTableName)
+    .select({ fields: OFFER_INDEX_FIELDS })
+    .all();
 
-      // 1) Sometimes Airtable-js returns recordId strings
-      if (typeof link === 'string') {
-        return link === orderRecordId;
-      }
+  offerIndex.clear();
+  offerIndexOrders.clear();
+  records.forEach(indexPartnerOfferRecord);
+  offerIndexSyncedAt = startedAt;
 
-      // 2) Or objects { id, name }
-      if (typeof link === 'object' && 'id' in link) {
-        return link.id === orderRecordId;
-      }
+  console.log(`📇 Indexed ${records.length} partner offer(s) for ${offerIndex.size} order(s).`);
+}
+
+/**
+ * Pull only the offers modified since the last sync.
+ */
+async function refreshOfferIndex() {
+  if (offerIndexSyncedAt == null) return;
+
+  const startedAt = Date.now();
+  const since     = new Date(offerIndexSyncedAt - OFFER_INDEX_OVERLAP_MS).toISOString();
+
+  const records = await base(partnerOffersTableName)
+    .select({
+      fields: OFFER_INDEX_FIELDS,
+      filterByFormula: `IS_AFTER(LAST_MODIFIED_TIME(), DATETIME_PARSE("${since}"))`
+    })
+    .all();
 
-      return false;
+  records.forEach(indexPartnerOfferRecord);
+  offerIndexSyncedAt = startedAt;
+}
+
+/**
+ * Resolve once the index has been loaded; retries the load if it failed before.
+ */
+function ensureOfferIndex() {
+  if (!offerIndexWarm) {
+    offerIndexWarm = loadOfferIndex().catch(e => {
+      offerIndexWarm = null;
+      throw e;
     });
-  });
+  }
+  return offerIndexWarm;
+}
 
-  console.log('Found', offersForOrder.length, 'partner offers for order', orderRecordId);
+ensureOfferIndex().catch(e => console.error('Failed to warm partner offer index:', e));
 
-  let best = null;
+setInterval(() => {
+  refreshOfferIndex().catch(e => console.error('Failed to refresh partner offer index:', e));
+}, OFFER_INDEX_REFRESH_MS);
 
-  for (const rec of offersForOrder) {
-    const price = parseNumericField(rec.get('Partner Offer'));
-    if (!Number.isFinite(price)) continue;
+setInterval(() => {
+  loadOfferIndex().catch(e => console.error('Failed to resync partner offer index:', e));
+}, OFFER_INDEX_FULL_SYNC_MS);
 
-    if (best == null || price < best) {
-      best = price;
+/**
+ * Get all Partner Offers linked to a given order, as
+ * { id, price, vatType, net, sellerRecordId, createdTime } (offers without a valid price are skipped).
+ * Answered from the offer index, not by scanning the table.
+ */
+async function getPartnerOffersForOrder(orderRecordId) {
+  if (!orderRecordId) return [];
+
+  await ensureOfferIndex();
+  return [...(offerIndex.get(orderRecordId)?.values() || [])];
+}
+
+/**
+ * Summarise the Partner Offers for a given order: { lowest, count }.
+ * lowest is the lowest net price (see toNetPrice), null if no offers exist yet.
+ */
+async function getPartnerOfferStats(orderRecordId) {
+  const offers = await getPartnerOffersForOrder(orderRecordId);
+
+  let best = null;
+
+  for (const offer of offers) {
+    if (best == null || offer.net < best) {
+      best = offer.net;
     }
   }
 
-  return best; // number or null
+  return { lowest: best, count: offers.length };
+}
+
+/**
+ * Get the current lowest Partner Offer for a given order.
+ * Looks at Partner Offers linked to that order and returns the lowest net price
+ * (number), so margin and VAT-deductible offers compare fairly, or null if no
+ * offers exist yet.
+ */
+async function getCurrentLowestPartnerOffer(orderRecordId) {
+  const { lowest } = await getPartnerOfferStats(orderRecordId);
+  return lowest; // number or null
 }
 
+// Availability Status of Inventory Units whose claim was released
+const UNIT_CANCELLED_STATUS = 'Cancelled';
+
+// Primary field of "Unfulfilled Orders Log": what links to an order show in formulas
+const ORDER_PRIMARY_FIELD_NAME = 'Order ID';
+
 /**
- * Check if an Inventory Unit already exists for a given order + seller.
- * Avoids double-claiming the same deal (e.g. double clicks).
+ * Find an Inventory Unit already created for a given order (by any seller).
+ * Units of released claims don't count.
  */
-async function inventoryUnitExistsForOrderAndSeller(orderRecordId, sellerRecordId) {
-  if (!orderRecordId || !sellerRecordId) return false;
+async function findInventoryUnitForOrder(orderRecordId) {
+  if (!orderRecordId) return null;
+
+  const order   = await base(ordersTableName).find(orderRecordId);
+  const primary = order.get(ORDER_PRIMARY_FIELD_NAME);
+  if (!primary) {
+    console.warn(`⚠️ Order ${orderRecordId} has no ${ORDER_PRIMARY_FIELD_NAME}, can't look up its Inventory Units.`);
+    return null;
+  }
 
   const records = await base(inventoryTableName)
     .select({
-      maxRecords: 1,
-      filterByFormula: `
-        AND(
-          FIND("${orderRecordId}", ARRAYJOIN({Unfulfilled Orders Log} & "")),
-          FIND("${sellerRecordId}", ARRAYJOIN({Seller ID} & ""))
-        )
-      `
+      filterByFormula:
+        `AND(${linkedPrimaryFormula('Unfulfilled Orders Log', primary)}, ` +
+        `{Availability Status} != "${UNIT_CANCELLED_STATUS}")`
     })
-    .firstPage();
+    .all();
 
-  return records.length > 0;
+  // Primary values need not be unique – keep units linked to this very record
+  return records.find(record =>
+    getLinkedRecordIds(record.get('Unfulfilled Orders Log')).includes(orderRecordId)
+  ) || null;
 }
 
-/* ---- Seller webhook helpers ---- */
+/* ---- Claim locking ---- */
 
-const SELLER_WEBHOOK_FIELD_NAME = 'Discord Webhook URL'; // field in Sellers Database
+// First-claim-wins locks, keyed by order record ID (or "msg:<id>" when the
+// order is unknown). A lock stays held after a successful claim so later
+// clicks lose immediately; it is only dropped again when a claim fails.
+const claimLocks = new Map();
 
-async function getSellerWebhookUrlByRecordId(sellerRecordId) {
-  if (!sellerRecordId) return null;
+/**
+ * Try to become the claimer of an order.
+ * The in-memory lock is taken before any await, so two claims racing inside
+ * this process can never both pass; Airtable is then checked for a unit
+ * created earlier (e.g. before a restart).
+ *
+ * Returns { ok: true } for the winner, otherwise { ok: false, reason } where
+ * reason is 'own' (this seller already claimed it) or 'taken'.
+ */
+async function acquireClaimLock(lockKey, sellerRecordId, orderRecordId = null) {
+  const holder = claimLocks.get(lockKey);
+  if (holder) {
+    return { ok: false, reason: holder.sellerRecordId === sellerRecordId ? 'own' : 'taken' };
+  }
 
-  const sellersTable = base(sellersTableName);
+  claimLocks.set(lockKey, { sellerRecordId, at: Date.now() });
+
+  if (!orderRecordId) return { ok: true };
+
+  let existing;
   try {
-    const rec = await sellersTable.find(sellerRecordId);
-    const url = rec.get(SELLER_WEBHOOK_FIELD_NAME);
-    return typeof url === 'string' && url.trim() ? url.trim() : null;
+    existing = await findInventoryUnitForOrder(orderRecordId);
   } catch (e) {
-    console.error('Failed to read seller webhook URL:', e);
-    return null;
+    claimLocks.delete(lockKey);
+    throw e;
+  }
+
+  if (existing) {
+    const existingSellerId = getLinkedRecordIds(existing.get('Seller ID'))[0] || null;
+    claimLocks.set(lockKey, { sellerRecordId: existingSellerId, at: Date.now() });
+    return { ok: false, reason: existingSellerId === sellerRecordId ? 'own' : 'taken' };
   }
+
+  return { ok: true };
 }
 
-async function sendSellerClaimWebhook({
-  webhookUrl,
+function releaseClaimLock(lockKey) {
+  claimLocks.delete(lockKey);
+}
+
+/* ---- Inventory Units ---- */
+
+/**
+ * Read the deal details straight from an "Unfulfilled Orders Log" record.
+ */
+function getDealFromOrderRecord(order) {
+  return {
+    productName: order.get('Product Name'),
+    sku:         order.get('SKU'),
+    size:        order.get('Size'),
+    brand:       order.get('Brand'),
+    // Payout field (Target Outsource Buying Price)
+    startPayout: parseNumericField(order.get('Target Outsource Buying Price')),
+    vatType:     VAT_MARGIN,
+    dealId:      order.get('Order ID') || order.id
+  };
+}
+
+/**
+ * Static Inventory Unit fields written on every claim. Overridable through the
+ * claim mapping config (see config/claim-mapping.example.json):
+ *  { defaults: {…}, vatTypes: { "Margin": {…} }, brands: { "<Brand>": {…} }, sellers: { "SE-00001": {…} } }
+ * applied in that order, so a seller override beats a brand override.
+ * "VAT Type" itself always follows what the partner claimed under.
+ */
+const DEFAULT_CLAIM_FIELDS = {
+  'VAT Type': 'Margin',
+  'Shipping Deduction': 0,
+  'Source': 'Outsourced',
+  'Verification Status': 'Verified',
+  'Payment Status': 'To Pay',
+  'Availability Status': 'Reserved',
+  'Margin %': '10%',
+  'Type': 'Custom'
+};
+
+const claimMapping = loadJsonConfig(CLAIM_MAPPING_CONFIG || './config/claim-mapping.json', {});
+
+function findCaseInsensitive(map, key) {
+  if (!map || key == null) return {};
+  const wanted = String(key).toLowerCase();
+  const match  = Object.keys(map).find(k => k.toLowerCase() === wanted);
+  return match ? map[match] : {};
+}
+
+/**
+ * Build the Inventory Unit fields for a claimed deal at the given price.
+ */
+function buildInventoryUnitFields({
   productName,
   sku,
   size,
   brand,
+  price,
+  dealId,
+  sellerRecordId,
   sellerCode,
-  startPayout,
-  dealId
+  vatType = VAT_MARGIN,
+  orderRecordId
 }) {
-  if (!webhookUrl) return;
-
-  const embed = {
-    title: '✅ DEAL CONFIRMED ✅',
-    description:
-      `**${productName}**\n` +
-      `${sku}\n` +
-      `${size}\n` +
-      `${brand}`,
-    color: 16776960, // yellow
-    fields: [
-      {
-        name: 'Confirmed Deal Price',
-        value: `€${startPayout.toFixed(2)}`,
-        inline: false
-      }
-    ]
-  };
-
-  const body = {
-    content: `New deal claimed by \`${sellerCode}\`${dealId ? ` • Order ID: \`${dealId}\`` : ''}`,
-    embeds: [embed]
+  const fields = {
+    ...DEFAULT_CLAIM_FIELDS,
+    ...claimMapping.defaults,
+    ...findCaseInsensitive(claimMapping.vatTypes, vatType),
+    ...findCaseInsensitive(claimMapping.brands, brand),
+    ...findCaseInsensitive(claimMapping.sellers, sellerCode),
+    'VAT Type': vatType,
+    'Product Name': productName,
+    'SKU': sku,
+    'Size': size,
+    'Brand': brand,
+    'Purchase Price': price,
+    'Ticket Number': dealId,
+    'Purchase Date': new Date().toISOString().split('T')[0],
+    'Payment Note': price.toFixed(2).replace('.', ','),
+    'Seller ID': [sellerRecordId]
   };
 
-  try {
-    await fetch(webhookUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body)
-    });
-  } catch (e) {
-    console.error('Failed to send seller claim webhook:', e);
+  if (orderRecordId) {
+    fields['Unfulfilled Orders Log'] = [orderRecordId];
   }
+
+  return fields;
 }
 
-/* ---- Make webhook helper ---- */
+/* ---- Deal records ---- */
 
-/**
- * Notify Make that a deal was claimed.
- * Sends only the Unfulfilled Orders Log record ID.
- */
-async function sendMakeClaimMakeWebhook(orderRecordId) {
-  if (!MAKE_CLAIM_WEBHOOK_URL) {
-    // No Make webhook configured – silently skip
-    return;
-  }
-  if (!orderRecordId) {
-    console.warn('⚠️ No orderRecordId provided to sendMakeClaimMakeWebhook, skipping.');
-    return;
-  }
+// Deals older than this are dropped from the local store at startup
+const DEAL_RECORD_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
 
-  try {
-    const payload = { orderRecordId };
+// Structured deal payloads, keyed by Discord message ID (one entry per copy).
+// Claims and offers read from here; the embed text is display-only.
+// Also holds general releases still pending after early access and
+// scheduled payout raises.
+const dealStore = createJsonStore('deals.json', { deals: {}, releases: {}, escalations: {} });
 
-    const res = await fetch(MAKE_CLAIM_WEBHOOK_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
+{
+  const cutoff = Date.now() - DEAL_RECORD_RETENTION_MS;
+  const before = Object.keys(dealStore.data.deals).length;
 
-    const text = await res.text();
-    console.log('Make claim webhook status:', res.status, 'body:', text);
-  } catch (e) {
-    console.error('Failed to send Make claim webhook:', e);
+  for (const [messageId, deal] of Object.entries(dealStore.data.deals)) {
+    if (!deal.postedAt || Date.parse(deal.postedAt) < cutoff) {
+      delete dealStore.data.deals[messageId];
+    }
+  }
+
+  if (Object.keys(dealStore.data.deals).length !== before) {
+    dealStore.save();
   }
 }
 
 /**
- * Build the action row with Claim / Offer buttons.
- * If disabled=true, both buttons are disabled (dark grey).
+ * Remember the deal behind freshly posted messages ([{ channelId, messageId }]).
  */
-function buildButtonsRow(disabled = false) {
-  return new ActionRowBuilder().addComponents(
-    new ButtonBuilder()
-      .setCustomId('partner_claim')
-      .setLabel('Claim Deal')
-      .setStyle(ButtonStyle.Success)
-      .setDisabled(disabled),
-    new ButtonBuilder()
-      .setCustomId('partner_offer')
-      .setLabel('Offer')
-      .setStyle(ButtonStyle.Secondary)
-      .setDisabled(disabled)
-  );
+async function saveDealForMessages(posted, deal) {
+  const postedAt = new Date().toISOString();
+
+  for (const { channelId, messageId } of posted) {
+    dealStore.data.deals[messageId] = { ...deal, channelId, postedAt };
+  }
+
+  await dealStore.save();
 }
 
 /**
- * Build an action row with only the Offer button.
+ * Most recently posted deal for an order record, from the local store.
  */
-function buildOfferOnlyRow(disabled = false) {
-  return new ActionRowBuilder().addComponents(
-    new ButtonBuilder()
-      .setCustomId('partner_offer')
-      .setLabel('Offer')
-      .setStyle(ButtonStyle.Secondary)
-      .setDisabled(disabled)
-  );
+function findLatestDealForRecord(orderRecordId) {
+  let latest = null;
+
+  for (const deal of Object.values(dealStore.data.deals)) {
+    if (deal.recordId !== orderRecordId) continue;
+    if (!latest || deal.postedAt > latest.postedAt) latest = deal;
+  }
+
+  return latest;
 }
 
 /**
- * Disable all deal messages (in all deal channels) for a given order record ID.
- * Uses the comma-separated "Partner Deal Message ID" field.
+ * Get the structured deal for a deal message.
+ * Falls back to the linked "Unfulfilled Orders Log" record for posts that are
+ * not in the local store (e.g. posted before it existed).
  */
-async function disableDealMessagesForRecord(orderRecordId) {
-  // Load order
-  const orderRecord = await base(ordersTableName).find(orderRecordId);
-  if (!orderRecord) {
-    console.warn(`⚠️ Order record not found for disable: ${orderRecordId}`);
-    return;
-  }
+async function getDealForMessage(messageId) {
+  const stored = dealStore.data.deals[messageId];
+  if (stored) return stored;
 
-  const messageIdsRaw = orderRecord.get('Partner Deal Message ID');
-  if (!messageIdsRaw) {
-    console.warn(`⚠️ No Partner Deal Message ID stored on order: ${orderRecordId}`);
-    return;
-  }
+  const orderRecordId = await findOrderRecordIdByMessageId(messageId);
+  if (!orderRecordId) return null;
 
-  const messageIds = String(messageIdsRaw)
-    .split(',')
-    .map(s => s.trim())
-    .filter(Boolean);
+  const order = await base(ordersTableName).find(orderRecordId);
+  const deal  = { ...getDealFromOrderRecord(order), recordId: orderRecordId };
 
-  if (messageIds.length === 0) {
-    console.warn(`⚠️ No valid message IDs parsed for order: ${orderRecordId}`);
-    return;
+  return Number.isFinite(deal.startPayout) ? deal : null;
+}
+
+/* ---- Outbound webhook queue ---- */
+
+const OUTBOX_POLL_MS          = 5 * 1000;
+const OUTBOX_BASE_DELAY_MS    = 30 * 1000;            // first retry after 30s, then doubling…
+const OUTBOX_MAX_DELAY_MS     = 60 * 60 * 1000;       // …up to 1h between attempts
+const OUTBOX_MAX_ATTEMPTS     = 10;                   // then the job goes to the dead-letter list
+const OUTBOX_DELIVERED_TTL_MS = 7 * 24 * 60 * 60 * 1000; // idempotency keys are remembered this long
+
+// pending:    jobs waiting for (re)delivery
+// deadLetter: jobs that ran out of attempts, kept until replayed
+// delivered:  idempotencyKey → delivered at (ms), so the same claim never notifies twice
+const outboxStore = createJsonStore('outbox.json', { pending: [], deadLetter: [], delivered: {} });
+
+let outboxRunning = false;
+
+/**
+ * Queue a JSON POST to a webhook. Delivery is attempted right away and
+ * retried with exponential backoff; the queue survives restarts.
+ * Jobs with an idempotencyKey that was already queued or delivered are dropped.
+ */
+function enqueueWebhook({ kind, url, body, idempotencyKey = null }) {
+  const { pending, deadLetter, delivered } = outboxStore.data;
+
+  if (
+    idempotencyKey &&
+    (delivered[idempotencyKey] ||
+      pending.some(job => job.idempotencyKey === idempotencyKey) ||
+      deadLetter.some(job => job.idempotencyKey === idempotencyKey))
+  ) {
+    console.log(`↩️ Webhook ${idempotencyKey} already queued or delivered, skipping.`);
+    return null;
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    kind,
+    url,
+    body,
+    idempotencyKey,
+    attempts: 0,
+    nextAttemptAt: Date.now(),
+    lastError: null,
+    createdAt: new Date().toISOString()
+  };
+
+  pending.push(job);
+  outboxStore.save();
+
+  processOutbox().catch(e => console.error('Failed to process webhook outbox:', e));
+  return job;
+}
+
+async function deliverWebhookJob(job) {
+  const res = await fetch(job.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Idempotency-Key': job.idempotencyKey || job.id
+    },
+    body: JSON.stringify(job.body)
+  });
+
+  const text = await res.text().catch(() => '');
+  if (!res.ok) {
+    throw new Error(`HTTP ${res.status}: ${text.slice(0, 200)}`);
+  }
+
+  console.log(`📤 Delivered ${job.kind} webhook (status ${res.status})${text ? ` body: ${text.slice(0, 200)}` : ''}`);
+}
+
+/**
+ * Deliver every due job once. Runs one pass at a time.
+ */
+async function processOutbox() {
+  if (outboxRunning) return;
+  outboxRunning = true;
+
+  try {
+    const data = outboxStore.data;
+    const due  = data.pending.filter(job => job.nextAttemptAt <= Date.now());
+
+    for (const job of due) {
+      try {
+        await deliverWebhookJob(job);
+
+        data.pending = data.pending.filter(j => j.id !== job.id);
+        if (job.idempotencyKey) {
+          data.delivered[job.idempotencyKey] = Date.now();
+        }
+      } catch (e) {
+        job.attempts += 1;
+        job.lastError = e.message;
+
+        if (job.attempts >= OUTBOX_MAX_ATTEMPTS) {
+          data.pending = data.pending.filter(j => j.id !== job.id);
+          data.deadLetter.push({ ...job, failedAt: new Date().toISOString() });
+          console.error(`☠️ ${job.kind} webhook ${job.id} failed ${job.attempts} times, moved to dead letters:`, e.message);
+        } else {
+          const delay = Math.min(OUTBOX_BASE_DELAY_MS * 2 ** (job.attempts - 1), OUTBOX_MAX_DELAY_MS);
+          job.nextAttemptAt = Date.now() + delay;
+          console.warn(`⚠️ ${job.kind} webhook ${job.id} failed (attempt ${job.attempts}), retrying in ${Math.round(delay / 1000)}s:`, e.message);
+        }
+      }
+
+      await outboxStore.save();
+    }
+
+    const cutoff = Date.now() - OUTBOX_DELIVERED_TTL_MS;
+    for (const [key, deliveredAt] of Object.entries(data.delivered)) {
+      if (deliveredAt < cutoff) delete data.delivered[key];
+    }
+  } finally {
+    outboxRunning = false;
+  }
+}
+
+/**
+ * Move dead-lettered jobs back into the queue (all of them if no IDs are given).
+ * Returns the IDs that were requeued.
+ */
+function replayDeadLetters(ids = null) {
+  const data = outboxStore.data;
+  const replay = data.deadLetter.filter(job => !ids || ids.includes(job.id));
+
+  data.deadLetter = data.deadLetter.filter(job => !replay.includes(job));
+  for (const { failedAt, ...job } of replay) {
+    data.pending.push({ ...job, attempts: 0, nextAttemptAt: Date.now() });
+  }
+
+  outboxStore.save();
+  processOutbox().catch(e => console.error('Failed to process webhook outbox:', e));
+
+  return replay.map(job => job.id);
+}
+
+setInterval(() => {
+  processOutbox().catch(e => console.error('Failed to process webhook outbox:', e));
+}, OUTBOX_POLL_MS);
+
+/* ---- Seller webhook helpers ---- */
+
+const SELLER_WEBHOOK_FIELD_NAME = 'Discord Webhook URL'; // field in Sellers Database
+
+async function getSellerWebhookUrlByRecordId(sellerRecordId) {
+  if (!sellerRecordId) return null;
+
+  const sellersTable = base(sellersTableName);
+  try {
+    const rec = await sellersTable.find(sellerRecordId);
+    const url = rec.get(SELLER_WEBHOOK_FIELD_NAME);
+    return typeof url === 'string' && url.trim() ? url.trim() : null;
+  } catch (e) {
+    console.error('Failed to read seller webhook URL:', e);
+    return null;
+  }
+}
+
+/**
+ * Queue the "deal confirmed" message to a seller's Discord webhook.
+ * claimId (the Inventory Unit record ID) makes the notification idempotent.
+ */
+async function sendSellerClaimWebhook({
+  webhookUrl,
+  claimId,
+  productName,
+  sku,
+  size,
+  brand,
+  sellerCode,
+  startPayout,
+  vatType = VAT_MARGIN,
+  dealId,
+  contentPrefix = 'New deal claimed by'
+}) {
+  if (!webhookUrl) return;
+
+  const embed = {
+    title: '✅ DEAL CONFIRMED ✅',
+    description:
+      `**${productName}**\n` +
+      `${sku}\n` +
+      `${size}\n` +
+      `${brand}`,
+    color: 16776960, // yellow
+    fields: [
+      {
+        name: 'Confirmed Deal Price',
+        value: `€${startPayout.toFixed(2)} (${vatType})`,
+        inline: false
+      }
+    ]
+  };
+
+  const body = {
+    content: `${contentPrefix} \`${sellerCode}\`${dealId ? ` • Order ID: \`${dealId}\`` : ''}`,
+    embeds: [embed]
+  };
+
+  enqueueWebhook({
+    kind: 'seller_claim',
+    url: webhookUrl,
+    body,
+    idempotencyKey: claimId ? `seller_claim:${claimId}` : null
+  });
+}
+
+/**
+ * Queue a "your offer was not accepted" message to a seller's Discord webhook.
+ */
+async function sendSellerOfferLostWebhook({ webhookUrl, orderRecordId, sellerRecordId, productName, size, dealId }) {
+  if (!webhookUrl) return;
+
+  enqueueWebhook({
+    kind: 'seller_offer_lost',
+    url: webhookUrl,
+    body: {
+      content:
+        `ℹ️ Another offer was accepted for **${productName} (${size})**` +
+        `${dealId ? ` • Order ID: \`${dealId}\`` : ''}. Thanks for your offer!`
+    },
+    idempotencyKey: `seller_offer_lost:${orderRecordId}:${sellerRecordId}`
+  });
+}
+
+/* ---- Seller events ---- */
+
+// Per-seller history used for reliability scoring.
+// { sellerRecordId, type, at, ...details } with type one of
+// claim, offer, win, release, shipment
+const sellerEventStore = createJsonStore('seller-events.json', { events: [] });
+
+/**
+ * Record an event for a seller and refresh their score on the seller record.
+ */
+async function recordSellerEvent(sellerRecordId, type, details = {}) {
+  if (!sellerRecordId) return;
+
+  sellerEventStore.data.events.push({
+    sellerRecordId,
+    type,
+    at: new Date().toISOString(),
+    ...details
+  });
+  await sellerEventStore.save();
+
+  updateSellerScore(sellerRecordId).catch(e =>
+    console.error(`Failed to update reliability score for ${sellerRecordId}:`, e)
+  );
+}
+
+/* ---- Seller reliability score ---- */
+
+const SELLER_SCORE_FIELD_NAME = 'Reliability Score'; // field in Sellers Database
+
+// Only recent behaviour counts
+const SCORE_WINDOW_MS     = 90 * 24 * 60 * 60 * 1000;
+const EVENT_RETENTION_MS  = 365 * 24 * 60 * 60 * 1000;
+// Shipping slower than this (from claim to shipment) costs points
+const SHIP_TARGET_HOURS   = 48;
+
+// Points taken off a perfect 100
+const SCORE_PENALTIES = {
+  release: 3,           // released within the grace window
+  penaltyRelease: 10,   // released by staff, counted against the seller
+  lateShipment: 8,
+  unshippedClaim: 10,   // per claim still not shipped SHIP_TARGET_HOURS after claiming
+  slowShippingPerHour: 0.25, // per hour the average claim-to-ship time is above target
+  slowShippingMax: 20
+};
+
+/**
+ * CLAIM_SCORE_GATES="200:70,500:85" – claiming a deal paying at least €200
+ * needs a score of 70, from €500 a score of 85.
+ */
+const claimScoreGates = (CLAIM_SCORE_GATES || '').split(',')
+  .map(entry => entry.trim().split(':').map(Number))
+  .filter(([minPayout, minScore]) => Number.isFinite(minPayout) && Number.isFinite(minScore))
+  .map(([minPayout, minScore]) => ({ minPayout, minScore }))
+  .sort((a, b) => b.minPayout - a.minPayout);
+
+{
+  const cutoff = Date.now() - EVENT_RETENTION_MS;
+  const before = sellerEventStore.data.events.length;
+
+  sellerEventStore.data.events = sellerEventStore.data.events.filter(event => Date.parse(event.at) >= cutoff);
+  if (sellerEventStore.data.events.length !== before) {
+    sellerEventStore.save();
+  }
+}
+
+/**
+ * Score a seller from 0 to 100 on their events of the last 90 days.
+ * Returns { score, stats } – stats are what the score is based on.
+ */
+function computeSellerScore(sellerRecordId) {
+  const cutoff = Date.now() - SCORE_WINDOW_MS;
+  const events = sellerEventStore.data.events.filter(
+    event => event.sellerRecordId === sellerRecordId && Date.parse(event.at) >= cutoff
+  );
+
+  const count = type => events.filter(event => event.type === type).length;
+  const releases  = events.filter(event => event.type === 'release');
+  const shipments = events.filter(event => event.type === 'shipment');
+  const shipHours = shipments.map(event => event.claimToShipHours).filter(Number.isFinite);
+
+  // Claims (and auction / offer wins) past the shipping target with neither a shipment nor a release
+  const closedUnitIds = new Set([...shipments, ...releases].map(event => event.inventoryUnitId));
+  const shipDeadline  = Date.now() - SHIP_TARGET_HOURS * 60 * 60 * 1000;
+  const unshipped     = events.filter(event =>
+    ['claim', 'win'].includes(event.type) &&
+    event.inventoryUnitId &&
+    !closedUnitIds.has(event.inventoryUnitId) &&
+    Date.parse(event.at) < shipDeadline
+  );
+
+  const stats = {
+    claims: count('claim'),
+    offers: count('offer'),
+    wins: count('win'),
+    releases: releases.filter(event => !event.penalty).length,
+    penaltyReleases: releases.filter(event => event.penalty).length,
+    shipments: shipments.length,
+    lateShipments: shipments.filter(event => event.late).length,
+    unshippedClaims: unshipped.length,
+    avgShipHours: shipHours.length ? shipHours.reduce((a, b) => a + b, 0) / shipHours.length : null
+  };
+
+  const slowHours = stats.avgShipHours != null ? Math.max(0, stats.avgShipHours - SHIP_TARGET_HOURS) : 0;
+  const score =
+    100 -
+    stats.releases * SCORE_PENALTIES.release -
+    stats.penaltyReleases * SCORE_PENALTIES.penaltyRelease -
+    stats.lateShipments * SCORE_PENALTIES.lateShipment -
+    stats.unshippedClaims * SCORE_PENALTIES.unshippedClaim -
+    Math.min(SCORE_PENALTIES.slowShippingMax, slowHours * SCORE_PENALTIES.slowShippingPerHour);
+
+  return { score: Math.max(0, Math.round(score)), stats };
+}
+
+/**
+ * Write the current score back to the seller record.
+ */
+async function updateSellerScore(sellerRecordId) {
+  const { score } = computeSellerScore(sellerRecordId);
+  await base(sellersTableName).update(sellerRecordId, { [SELLER_SCORE_FIELD_NAME]: score });
+}
+
+/**
+ * Refusal message if the seller's score is too low to claim at this payout, else null.
+ */
+function getClaimScoreError(seller, payout) {
+  const gate = claimScoreGates.find(g => payout >= g.minPayout);
+  if (!gate) return null;
+
+  const { score, stats } = computeSellerScore(seller.id);
+  if (score >= gate.minScore) return null;
+
+  const reasons = [
+    stats.penaltyReleases && `${stats.penaltyReleases} claim(s) released by staff`,
+    stats.releases && `${stats.releases} claim(s) you released`,
+    stats.lateShipments && `${stats.lateShipments} late shipment(s)`,
+    stats.unshippedClaims && `${stats.unshippedClaims} claim(s) not shipped after ${SHIP_TARGET_HOURS}h`,
+    stats.avgShipHours > SHIP_TARGET_HOURS && `average ${Math.round(stats.avgShipHours)}h from claim to shipment`
+  ].filter(Boolean);
+
+  return (
+    `❌ Deals paying €${gate.minPayout.toFixed(2)} or more need a reliability score of **${gate.minScore}**. ` +
+    `Yours is **${score}**` +
+    `${reasons.length ? ` (last 90 days: ${reasons.join(', ')})` : ''}.\n` +
+    `Releases and late shipments count against your score for 90 days, then drop out. ` +
+    `Overdue claims count until they ship. ` +
+    `Faster shipments only bring down the average claim-to-shipment time. Contact staff if you think this is wrong.`
+  );
+}
+
+/* ---- Claim limits ---- */
+
+// Availability Status values of Inventory Units that still count as open claims
+const OPEN_CLAIM_STATUSES = ['Reserved'];
+const CLAIM_LIMIT_DAY_MS  = 24 * 60 * 60 * 1000;
+
+/**
+ * Claim limits (JSON file, see config/claim-limits.example.json):
+ *  { defaults: {…}, tiers: { "Gold": {…} }, sellers: { "SE-00001": {…} } }
+ * each with any of maxOpenClaims, maxClaimsPerDay, maxOpenPayout, cooldownMinutes.
+ * A seller override beats a tier override beats the defaults.
+ */
+const claimLimitsConfig = loadJsonConfig(CLAIM_LIMITS_CONFIG || './config/claim-limits.json', {});
+
+function getClaimLimits(seller) {
+  return {
+    ...claimLimitsConfig.defaults,
+    ...findCaseInsensitive(claimLimitsConfig.tiers, seller.tier),
+    ...findCaseInsensitive(claimLimitsConfig.sellers, seller.code)
+  };
+}
+
+/**
+ * Check the seller's limits before claiming `quantity` units at `price` each.
+ * Returns the reason it is refused (plain text) or null.
+ */
+async function getClaimLimitError(seller, { price, quantity = 1 }) {
+  const limits = getClaimLimits(seller);
+  const now    = Date.now();
+
+  // Claims in the last 24 hours / last claim, from the seller's events
+  const claimTimes = sellerEventStore.data.events
+    .filter(event => event.sellerRecordId === seller.id && ['claim', 'win'].includes(event.type))
+    .map(event => Date.parse(event.at))
+    .filter(at => at >= now - CLAIM_LIMIT_DAY_MS)
+    .sort((a, b) => a - b);
+
+  if (limits.cooldownMinutes > 0 && claimTimes.length > 0) {
+    const readyAt = claimTimes.at(-1) + limits.cooldownMinutes * 60 * 1000;
+    if (readyAt > now) {
+      return `Please wait between claims (${limits.cooldownMinutes} min). You can claim again <t:${Math.ceil(readyAt / 1000)}:R>.`;
+    }
+  }
+
+  if (limits.maxClaimsPerDay > 0 && claimTimes.length + quantity > limits.maxClaimsPerDay) {
+    const freesAt = claimTimes[0] + CLAIM_LIMIT_DAY_MS;
+    return (
+      `You can claim at most ${limits.maxClaimsPerDay} deal(s) per 24 hours and have claimed ${claimTimes.length}. ` +
+      `Your next slot frees up <t:${Math.ceil(freesAt / 1000)}:R>.`
+    );
+  }
+
+  if (!(limits.maxOpenClaims > 0) && !(limits.maxOpenPayout > 0)) return null;
+
+  // Open claims and their value, from Airtable
+  const statusFormula = OPEN_CLAIM_STATUSES.map(status => `{Availability Status} = "${status}"`).join(', ');
+  const openUnits = await base(inventoryTableName)
+    .select({
+      fields: ['Purchase Price'],
+      filterByFormula: `AND(${linkedPrimaryFormula('Seller ID', seller.code)}, OR(${statusFormula}))`
+    })
+    .all();
+
+  if (limits.maxOpenClaims > 0 && openUnits.length + quantity > limits.maxOpenClaims) {
+    return (
+      `You have ${openUnits.length} open claim(s) and can hold at most ${limits.maxOpenClaims}. ` +
+      `Ship or release one before claiming more.`
+    );
+  }
+
+  const openPayout = openUnits.reduce((sum, unit) => sum + (parseNumericField(unit.get('Purchase Price')) || 0), 0);
+  if (limits.maxOpenPayout > 0 && openPayout + quantity * price > limits.maxOpenPayout) {
+    return (
+      `Your open claims are worth €${openPayout.toFixed(2)}; this claim would take you over ` +
+      `your limit of €${Number(limits.maxOpenPayout).toFixed(2)}.`
+    );
+  }
+
+  return null;
+}
+
+/* ---- Make webhook helper ---- */
+
+/**
+ * Notify Make that a deal was claimed (queued, see the outbox).
+ * Sends the event type and the Unfulfilled Orders Log record ID.
+ */
+async function sendMakeClaimMakeWebhook(orderRecordId, claimId = null) {
+  if (!MAKE_CLAIM_WEBHOOK_URL) {
+    // No Make webhook configured – silently skip
+    return;
+  }
+  if (!orderRecordId) {
+    console.warn('⚠️ No orderRecordId provided to sendMakeClaimMakeWebhook, skipping.');
+    return;
+  }
+
+  enqueueWebhook({
+    kind: 'make_claim',
+    url: MAKE_CLAIM_WEBHOOK_URL,
+    body: { event: 'claim', orderRecordId },
+    idempotencyKey: claimId ? `make_claim:${claimId}` : null
+  });
+}
+
+/**
+ * Notify Make that a claim was released again, so the downstream scenario
+ * can undo what it did for the claim.
+ */
+async function sendMakeReleaseWebhook(orderRecordId, inventoryUnitId, releasedBy) {
+  if (!MAKE_CLAIM_WEBHOOK_URL) return;
+
+  enqueueWebhook({
+    kind: 'make_release',
+    url: MAKE_CLAIM_WEBHOOK_URL,
+    body: { event: 'claim_released', orderRecordId, inventoryUnitId, releasedBy },
+    idempotencyKey: `make_release:${inventoryUnitId}`
+  });
+}
+
+/* ---- Discord ↔ Seller linking ---- */
+
+const SELLER_DISCORD_USER_FIELD_NAME = 'Discord User ID'; // field in Sellers Database
+const SELLER_TIER_FIELD_NAME         = 'Tier';            // field in Sellers Database
+const SELLER_NAME_FIELD_NAME         = 'Seller Name';     // field in Sellers Database
+const SELLER_LINK_CODE_TTL_MS        = 10 * 60 * 1000;
+const SELLER_LINK_MAX_ATTEMPTS       = 5;
+
+// Pending /link-seller verifications, keyed by Discord user ID
+const pendingSellerLinks = new Map();
+
+/**
+ * Find the seller record(s) linked to a Discord user.
+ * Returns { seller: { id, code, tier } } when exactly one seller is linked,
+ * otherwise { error } with a message that can be shown to the user.
+ */
+async function resolveLinkedSeller(discordUserId) {
+  const records = await base(sellersTableName)
+    .select({
+      maxRecords: 2,
+      filterByFormula: `{${SELLER_DISCORD_USER_FIELD_NAME}} = "${discordUserId}"`
+    })
+    .firstPage();
+
+  if (records.length === 0) {
+    return {
+      error: '❌ Your Discord account is not linked to a seller yet. Use `/link-seller request` first.'
+    };
+  }
+
+  if (records.length > 1) {
+    console.warn(`⚠️ Discord user ${discordUserId} is linked to multiple seller records.`);
+    return {
+      error: '❌ Your Discord account is linked to more than one seller. Please contact staff.'
+    };
+  }
+
+  const rec = records[0];
+  return {
+    seller: {
+      id: rec.id,
+      code: rec.get('Seller ID'),
+      name: rec.get(SELLER_NAME_FIELD_NAME) || null,
+      tier: rec.get(SELLER_TIER_FIELD_NAME) || null
+    }
+  };
+}
+
+/**
+ * Send a /link-seller verification code to the seller's own Discord webhook,
+ * so only someone with access to that seller's channel can complete the link.
+ */
+async function sendSellerLinkCodeWebhook({ webhookUrl, sellerCode, discordTag, code }) {
+  const body = {
+    content:
+      `🔐 Discord link request for \`${sellerCode}\` from **${discordTag}**.\n` +
+      `Verification code: \`${code}\` (valid for ${SELLER_LINK_CODE_TTL_MS / 60000} minutes).\n` +
+      `If you did not request this, ignore this message and contact staff.`
+  };
+
+  const res = await fetch(webhookUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  if (!res.ok) {
+    throw new Error(`Seller webhook responded with ${res.status}`);
+  }
+}
+
+/**
+ * Build the action row with Claim (Margin / VAT) / Offer buttons.
+ * If disabled=true, all buttons are disabled (dark grey).
+ */
+function buildButtonsRow(disabled = false) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('partner_claim')
+      .setLabel('Claim (Margin)')
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(disabled),
+    new ButtonBuilder()
+      .setCustomId('partner_claim_vat')
+      .setLabel('Claim (VAT)')
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(disabled),
+    new ButtonBuilder()
+      .setCustomId('partner_offer')
+      .setLabel('Offer')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(disabled)
+  );
+}
+
+/**
+ * Build an action row with only the Claim (Margin / VAT) buttons (multi-unit deals).
+ */
+function buildClaimOnlyRow(disabled = false) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('partner_claim')
+      .setLabel('Claim (Margin)')
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(disabled),
+    new ButtonBuilder()
+      .setCustomId('partner_claim_vat')
+      .setLabel('Claim (VAT)')
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(disabled)
+  );
+}
+
+/**
+ * Build an action row with only the Offer button.
+ */
+function buildOfferOnlyRow(disabled = false) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('partner_offer')
+      .setLabel('Offer')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(disabled)
+  );
+}
+
+/**
+ * Parse the "Partner Deal Message ID" field into [{ channelId, messageId }].
+ * Entries are stored as "channelId:messageId"; bare message IDs written by
+ * older versions come back with channelId = null.
+ */
+function parseDealMessageRefs(raw) {
+  return String(raw || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [a, b] = entry.split(':');
+      return b ? { channelId: a, messageId: b } : { channelId: null, messageId: a };
+    });
+}
+
+function formatDealMessageRefs(refs) {
+  return refs
+    .map(ref => (ref.channelId ? `${ref.channelId}:${ref.messageId}` : ref.messageId))
+    .join(',');
+}
+
+/**
+ * Fetch every Discord copy of the deal for a given order record ID,
+ * using the channelId:messageId references in "Partner Deal Message ID".
+ * Legacy bare message IDs are located once and written back as references.
+ */
+async function fetchDealMessagesForRecord(orderRecordId) {
+  // Load order
+  const orderRecord = await base(ordersTableName).find(orderRecordId);
+  if (!orderRecord) {
+    console.warn(`⚠️ Order record not found: ${orderRecordId}`);
+    return [];
+  }
+
+  const refs = parseDealMessageRefs(orderRecord.get('Partner Deal Message ID'));
+  if (refs.length === 0) {
+    console.warn(`⚠️ No Partner Deal Message ID stored on order: ${orderRecordId}`);
+    return [];
+  }
+
+  const messages = [];
+  let migrated = false;
+
+  for (const ref of refs) {
+    if (ref.channelId) {
+      const channel = await client.channels.fetch(ref.channelId).catch(() => null);
+      if (!channel || !channel.isTextBased()) continue;
+
+      const msg = await channel.messages.fetch(ref.messageId).catch(() => null);
+      if (msg) messages.push(msg);
+      continue;
+    }
+
+    // Legacy entry: use the channel remembered for the message, else try every deals channel
+    const knownChannelId = dealStore.data.deals[ref.messageId]?.channelId;
+    const channelIds     = knownChannelId ? [knownChannelId] : knownDealChannelIds;
+
+    for (const channelId of channelIds) {
+      const channel = await client.channels.fetch(channelId).catch(() => null);
+      if (!channel || !channel.isTextBased()) continue;
+
+      const msg = await channel.messages.fetch(ref.messageId).catch(() => null);
+      if (msg) {
+        messages.push(msg);
+        ref.channelId = channelId;
+        migrated = true;
+        break;
+      }
+    }
+  }
+
+  if (migrated) {
+    try {
+      await base(ordersTableName).update(orderRecordId, {
+        'Partner Deal Message ID': formatDealMessageRefs(refs)
+      });
+      console.log(`🔁 Migrated deal message references for order ${orderRecordId}`);
+    } catch (e) {
+      console.error('Failed to store migrated deal message references:', e);
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * Copy of a message's button rows with every button disabled (or enabled).
+ */
+function buildComponentsWithDisabled(msg, disabled = true) {
+  return msg.components.map(row =>
+    new ActionRowBuilder().addComponents(
+      ...row.components.map(btn =>
+        ButtonBuilder.from(btn).setDisabled(disabled)
+      )
+    )
+  );
+}
+
+/**
+ * Fetch a stored deal post by its message ID (e.g. for clicks on alert DMs).
+ */
+async function fetchDealMessage(messageId) {
+  const stored = dealStore.data.deals[messageId];
+  if (!stored?.channelId) return null;
+
+  const channel = await client.channels.fetch(stored.channelId).catch(() => null);
+  return channel ? channel.messages.fetch(messageId).catch(() => null) : null;
+}
+
+/**
+ * Whether every button on a deal post is disabled (claimed, disabled or expired).
+ */
+function isDealMessageClosed(msg) {
+  const buttons = msg.components.flatMap(row => row.components);
+  return buttons.length > 0 && buttons.every(btn => btn.disabled);
+}
+
+/**
+ * Edit every copy of the deal for a given order record ID.
+ *  - fields:   replaces the status fields under the embed
+ *  - title / color: restyle the embed (e.g. cancelled)
+ *  - disabled: true / false toggles all buttons, undefined leaves them
+ */
+async function updateDealMessagesForRecord(orderRecordId, { fields, title, description, color, disabled } = {}) {
+  const messages = await fetchDealMessagesForRecord(orderRecordId);
+
+  for (const msg of messages) {
+    const edit = {};
+
+    const embed = msg.embeds?.[0];
+    if (embed && (fields || title || description || color != null)) {
+      const updated = EmbedBuilder.from(embed);
+      if (fields) updated.setFields(fields);
+      if (title) updated.setTitle(title);
+      if (description) updated.setDescription(description);
+      if (color != null) updated.setColor(color);
+      edit.embeds = [updated];
+    }
+
+    if (disabled !== undefined) {
+      edit.components = buildComponentsWithDisabled(msg, disabled);
+    }
+
+    await msg.edit(edit).catch(e =>
+      console.error(`Failed to update deal message ${msg.id}:`, e)
+    );
+  }
+}
+
+/**
+ * Disable all deal messages (in all deal channels) for a given order record ID.
+ */
+async function disableDealMessagesForRecord(orderRecordId) {
+  await updateDealMessagesForRecord(orderRecordId, { disabled: true });
+}
+
+/**
+ * Status fields shown under a deal embed: auction countdown (if any) and
+ * offer stats (lowest is a net price). Never shows who made an offer.
+ */
+function buildDealStatusFields({ auctionEndsAt = null, lowest = null, count = 0 }) {
+  const fields = [];
+
+  if (auctionEndsAt) {
+    const unix = Math.floor(auctionEndsAt / 1000);
+    fields.push({ name: '⏳ Auction ends', value: `<t:${unix}:R> (<t:${unix}:f>)`, inline: false });
+  }
+
+  fields.push(
+    {
+      name: '📉 Current lowest offer',
+      value: lowest != null ? formatNetPrice(lowest) : 'No offers yet',
+      inline: true
+    },
+    { name: '🧾 Offers', value: String(count), inline: true },
+    {
+      name: '⬇️ Next max bid',
+      value: lowest != null ? formatNetPrice(lowest - MIN_UNDERCUT_STEP) : 'Any amount',
+      inline: true
+    }
+  );
+
+  return fields;
+}
+
+/**
+ * Re-render the live offer status on every copy of the deal.
+ */
+async function refreshDealStatusForRecord(orderRecordId) {
+  const { lowest, count } = await getPartnerOfferStats(orderRecordId);
+  const auctionEndsAt     = activeAuctions.get(orderRecordId)?.endsAt || null;
+
+  await updateDealMessagesForRecord(orderRecordId, {
+    fields: buildDealStatusFields({ auctionEndsAt, lowest, count })
+  });
+}
+
+/* ---- Claim service ---- */
+
+/**
+ * Claim a deal for a seller at a given price. Shared by the Discord claim,
+ * /interface-claim, accepted offers and auction awards:
+ *  1) first-claim-wins lock
+ *  2) Inventory Unit (fields from the claim mapping)
+ *  3) seller webhook
+ *  4) disable the deal messages + set "Partner Deal Buttons Disabled"
+ *  5) close the staff offers feed for the order
+ *  6) Make notification
+ *
+ * deal:    { productName, sku, size, brand, dealId }
+ * seller:  { id, code }
+ * vatType: what the seller sells under; price is quoted in it
+ * acceptedOfferId: the Partner Offer this claim comes from, if any
+ * Returns { ok: true, unit } or { ok: false, reason: 'own' | 'taken' }.
+ */
+async function claimDeal({
+  deal,
+  seller,
+  price,
+  vatType = VAT_MARGIN,
+  orderRecordId = null,
+  lockKey = orderRecordId,
+  disableMessages = true,
+  acceptedOfferId = null,
+  contentPrefix
+}) {
+  const { productName, sku, size, brand, dealId } = deal;
+
+  // 🔒 First claim wins – across Discord and interface claims
+  const lock = await acquireClaimLock(lockKey, seller.id, orderRecordId);
+  if (!lock.ok) return lock;
+
+  let unit;
+  try {
+    unit = await base(inventoryTableName).create(
+      buildInventoryUnitFields({
+        productName,
+        sku,
+        size,
+        brand,
+        price,
+        dealId,
+        sellerRecordId: seller.id,
+        sellerCode: seller.code,
+        vatType,
+        orderRecordId
+      })
+    );
+  } catch (e) {
+    releaseClaimLock(lockKey);
+    throw e;
+  }
+
+  await recordSellerEvent(seller.id, acceptedOfferId ? 'win' : 'claim', {
+    orderRecordId,
+    inventoryUnitId: unit.id,
+    price
+  });
+
+  // 🔔 Seller-specific webhook notification (doesn't affect claim success)
+  await sendSellerClaimWebhook({
+    webhookUrl: await getSellerWebhookUrlByRecordId(seller.id),
+    claimId: unit.id,
+    productName,
+    sku,
+    size,
+    brand,
+    sellerCode: seller.code,
+    startPayout: price,
+    vatType,
+    dealId,
+    contentPrefix
+  });
+
+  if (orderRecordId) {
+    cancelDealExpiry(orderRecordId);
+    cancelEscalation(orderRecordId);
+
+    // Disable buttons across all copies for this order
+    // (for a unit of a multi-unit post, only take that unit off the post)
+    if (disableMessages) {
+      try {
+        const group = findDealGroupForRecord(orderRecordId);
+        if (group) {
+          await setDealUnitState(group.groupId, orderRecordId, { claimed: true });
+        } else {
+          await disableDealMessagesForRecord(orderRecordId);
+          await base(ordersTableName).update(orderRecordId, {
+            'Partner Deal Buttons Disabled': true
+          });
+        }
+      } catch (e) {
+        console.error('Failed to disable deal messages / update order flag:', e);
+      }
+    }
+
+    // Offers on this order can't be accepted any more
+    await closeOfferFeedForRecord(orderRecordId, acceptedOfferId);
+
+    // 🔔 Notify Make for this claimed order
+    await sendMakeClaimMakeWebhook(orderRecordId, unit.id);
+  }
+
+  return { ok: true, unit };
+}
+
+/* ---- Releasing claims ---- */
+
+// Sellers may release their own claim this long after claiming; staff can any time
+const CLAIM_RELEASE_GRACE_MS = 15 * 60 * 1000;
+
+/**
+ * Whether a seller can still release an Inventory Unit themselves.
+ */
+function isWithinReleaseGrace(unit) {
+  const claimedAt = Date.parse(unit._rawJson?.createdTime);
+  return Number.isFinite(claimedAt) && Date.now() - claimedAt <= CLAIM_RELEASE_GRACE_MS;
+}
+
+/**
+ * Undo a claim: cancel the Inventory Unit, record the release on the seller,
+ * repost the deal and tell Make.
+ * releasedBy: 'seller' | 'admin'. penalty marks releases that count against the seller.
+ * Returns the message IDs of the repost (empty if it could not be reposted).
+ */
+async function releaseClaim({ order, unit, releasedBy, penalty }) {
+  const orderRecordId  = order.id;
+  const sellerRecordId = getLinkedRecordIds(unit.get('Seller ID'))[0] || null;
+
+  await base(inventoryTableName).update(unit.id, {
+    'Availability Status': UNIT_CANCELLED_STATUS
+  });
+
+  await recordSellerEvent(sellerRecordId, 'release', {
+    orderRecordId,
+    inventoryUnitId: unit.id,
+    releasedBy,
+    penalty
+  });
+
+  releaseClaimLock(orderRecordId);
+
+  let messageIds = [];
+  try {
+    messageIds = (await repostDeal(order)) || [];
+  } catch (e) {
+    console.error(`Failed to repost deal for ${orderRecordId} after release:`, e);
+  }
+
+  await sendMakeReleaseWebhook(orderRecordId, unit.id, releasedBy);
+
+  console.log(`↩️ Claim ${unit.id} on ${orderRecordId} released by ${releasedBy}${penalty ? ' (penalty)' : ''}`);
+  return messageIds;
+}
+
+/* ---- Staff offers feed ---- */
+
+// Staff-only offer cards.
+// messages: offer record ID → { channelId, messageId, orderRecordId }
+// threads:  order record ID → thread ID, so the cards of one order stay together
+const offerFeedStore = createJsonStore('offer-feed.json', { messages: {}, threads: {} });
+
+function buildOfferFeedRow(offerRecordId, disabled = false) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`offer_accept:${offerRecordId}`)
+      .setLabel('Accept')
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(disabled),
+    new ButtonBuilder()
+      .setCustomId(`offer_reject:${offerRecordId}`)
+      .setLabel('Reject')
+      .setStyle(ButtonStyle.Danger)
+      .setDisabled(disabled)
+  );
+}
+
+/**
+ * "#2 of 5" – rank of an offer among the order's offers (lowest net price first).
+ */
+async function getOfferRankText(orderRecordId, offerRecordId) {
+  const ranked = (await getPartnerOffersForOrder(orderRecordId))
+    .sort((a, b) => a.net - b.net || String(a.createdTime).localeCompare(String(b.createdTime)));
+
+  const index = ranked.findIndex(offer => offer.id === offerRecordId);
+  return index === -1 ? '—' : `#${index + 1} of ${ranked.length}`;
+}
+
+/**
+ * The thread holding an order's offer cards, or null if there is none (yet).
+ */
+async function getOfferFeedThread(orderRecordId) {
+  const threadId = orderRecordId ? offerFeedStore.data.threads[orderRecordId] : null;
+  if (!threadId) return null;
+
+  const thread = await client.channels.fetch(threadId).catch(() => null);
+  if (!thread) return null;
+
+  if (thread.archived) {
+    await thread.setArchived(false).catch(() => {});
+  }
+  return thread;
+}
+
+/**
+ * Post a compact card for a new partner offer to the staff feed.
+ * The first card of an order opens a thread; later cards go into it.
+ */
+async function postOfferToStaffFeed({ offerRecordId, deal, seller, price, vatType }) {
+  if (!staffOffersChannelId) return;
+
+  const channel = await client.channels.fetch(staffOffersChannelId).catch(() => null);
+  if (!channel || !channel.isTextBased()) {
+    console.warn(`⚠️ Staff offers channel ${staffOffersChannelId} not found or not text-based.`);
+    return;
+  }
+
+  const orderRecordId = deal.recordId || null;
+  const payout        = getPayoutForVatType(deal, vatType);
+  const delta         = price - payout;
+  const deltaPct      = payout ? (delta / payout) * 100 : 0;
+  const rank          = orderRecordId ? await getOfferRankText(orderRecordId, offerRecordId) : '—';
+
+  const embed = new EmbedBuilder()
+    .setTitle(`💬 €${price.toFixed(2)} (${vatType})`)
+    .setDescription(`**${deal.productName}** (${deal.size}) • Order \`${deal.dealId || '—'}\``)
+    .setColor(0x3498db)
+    .addFields(
+      { name: 'Seller', value: `\`${seller.code}\`${seller.name ? ` ${seller.name}` : ''}`, inline: true },
+      {
+        name: 'Δ vs payout',
+        value: `${delta <= 0 ? '−' : '+'}€${Math.abs(delta).toFixed(2)} (${deltaPct.toFixed(1)}%)`,
+        inline: true
+      },
+      { name: 'Rank', value: rank, inline: true }
+    );
+
+  const card = { embeds: [embed], components: [buildOfferFeedRow(offerRecordId)] };
+
+  let target = await getOfferFeedThread(orderRecordId);
+  let msg;
+
+  if (target) {
+    msg = await target.send(card);
+  } else {
+    msg    = await channel.send(card);
+    target = channel;
+
+    if (orderRecordId) {
+      try {
+        const thread = await msg.startThread({
+          name: `Offers • ${deal.dealId || deal.productName}`.slice(0, 100),
+          autoArchiveDuration: 1440
+        });
+        offerFeedStore.data.threads[orderRecordId] = thread.id;
+      } catch (e) {
+        console.error('Failed to open offer feed thread:', e);
+      }
+    }
+  }
+
+  offerFeedStore.data.messages[offerRecordId] = {
+    channelId: target.id,
+    messageId: msg.id,
+    orderRecordId
+  };
+  await offerFeedStore.save();
+
+  if (orderRecordId) {
+    await refreshOfferFeedRanks(orderRecordId);
+  }
+}
+
+/**
+ * Edit an offer card: replace its fields by name, optionally disable its buttons.
+ */
+async function editOfferFeedCard(ref, offerRecordId, { fields = {}, disabled } = {}) {
+  const channel = await client.channels.fetch(ref.channelId);
+  const msg     = await channel.messages.fetch(ref.messageId);
+  const embed   = EmbedBuilder.from(msg.embeds[0]);
+
+  const existing = embed.data.fields || [];
+  const names    = new Set(existing.map(f => f.name));
+  embed.setFields(
+    ...existing.map(f => (f.name in fields ? { ...f, value: fields[f.name] } : f)),
+    ...Object.entries(fields)
+      .filter(([name]) => !names.has(name))
+      .map(([name, value]) => ({ name, value, inline: false }))
+  );
+
+  const edit = { embeds: [embed] };
+  if (disabled !== undefined) {
+    edit.components = [buildOfferFeedRow(offerRecordId, disabled)];
+  }
+  await msg.edit(edit);
+}
+
+/**
+ * Re-rank every open card of an order after its offers changed.
+ */
+async function refreshOfferFeedRanks(orderRecordId) {
+  for (const [offerRecordId, ref] of Object.entries(offerFeedStore.data.messages)) {
+    if (ref.orderRecordId !== orderRecordId) continue;
+
+    try {
+      await editOfferFeedCard(ref, offerRecordId, {
+        fields: { Rank: await getOfferRankText(orderRecordId, offerRecordId) }
+      });
+    } catch (e) {
+      console.error(`Failed to update offer feed rank for ${offerRecordId}:`, e);
+    }
+  }
+}
+
+/**
+ * Close the feed cards of an order once it was claimed (by an accepted offer or otherwise).
+ */
+async function closeOfferFeedForRecord(orderRecordId, acceptedOfferId) {
+  for (const [offerRecordId, ref] of Object.entries(offerFeedStore.data.messages)) {
+    if (ref.orderRecordId !== orderRecordId) continue;
+
+    try {
+      await editOfferFeedCard(ref, offerRecordId, {
+        fields: { Status: offerRecordId === acceptedOfferId ? '✅ Accepted' : '❌ Lost' },
+        disabled: true
+      });
+    } catch (e) {
+      console.error(`Failed to close offer feed message for ${offerRecordId}:`, e);
+    }
+
+    delete offerFeedStore.data.messages[offerRecordId];
+  }
+
+  delete offerFeedStore.data.threads[orderRecordId];
+  await offerFeedStore.save();
+}
+
+/**
+ * Staff rejected an offer: it stops counting as the lowest offer and its card is closed.
+ */
+async function rejectOffer(offerRecordId, rejectedBy) {
+  const offerRecord   = await base(partnerOffersTableName).update(offerRecordId, {
+    [OFFER_STATUS_FIELD_NAME]: OFFER_STATUS_REJECTED
+  });
+  indexPartnerOfferRecord(offerRecord);
+
+  const orderRecordId = getLinkedRecordIds(offerRecord.get('Linked Orders'))[0] || null;
+  const ref           = offerFeedStore.data.messages[offerRecordId];
+
+  if (ref) {
+    try {
+      await editOfferFeedCard(ref, offerRecordId, { fields: { Status: '🚫 Rejected' }, disabled: true });
+    } catch (e) {
+      console.error(`Failed to close offer feed message for ${offerRecordId}:`, e);
+    }
+    delete offerFeedStore.data.messages[offerRecordId];
+    await offerFeedStore.save();
+  }
+
+  if (orderRecordId) {
+    await refreshOfferFeedRanks(orderRecordId);
+
+    // Closed deals (claimed, expired, cancelled, auction ended) keep their final status fields
+    const order = await base(ordersTableName).find(orderRecordId).catch(() => null);
+    if (order && !order.get('Partner Deal Buttons Disabled')) {
+      await refreshDealStatusForRecord(orderRecordId);
+    }
+  }
+
+  console.log(`🚫 Offer ${offerRecordId} rejected by ${rejectedBy}`);
+}
+
+/* ---- Offer acceptance ---- */
+
+/**
+ * Mark the winning offer of an order as Accepted and every other one as Lost.
+ * Returns the losing offers.
+ */
+async function markOfferOutcomes(orderRecordId, winningOfferId) {
+  const offers = await getPartnerOffersForOrder(orderRecordId);
+  const losers = offers.filter(offer => offer.id !== winningOfferId);
+
+  const updates = offers.map(offer => ({
+    id: offer.id,
+    fields: { [OFFER_STATUS_FIELD_NAME]: offer.id === winningOfferId ? OFFER_STATUS_ACCEPTED : OFFER_STATUS_LOST }
+  }));
+
+  // Airtable updates at most 10 records per request
+  for (let i = 0; i < updates.length; i += 10) {
+    await base(partnerOffersTableName).update(updates.slice(i, i + 10));
+  }
+
+  return losers;
+}
+
+/**
+ * Turn a Partner Offer into a claim at the offered price (same claim service as
+ * Discord / interface claims) and mark the order's other offers as lost.
+ * Returns { ok: true, unit } or { ok: false, error, status }.
+ */
+async function acceptOffer({ offerRecordId, notifyLosers = notifyLosingOffers, acceptedBy }) {
+  let offerRecord;
+  try {
+    offerRecord = await base(partnerOffersTableName).find(offerRecordId);
+  } catch (e) {
+    return { ok: false, status: 404, error: 'Offer record not found' };
+  }
+
+  // Only open offers can be accepted (no status yet)
+  const status = offerRecord.get(OFFER_STATUS_FIELD_NAME);
+  if ([OFFER_STATUS_ACCEPTED, OFFER_STATUS_LOST, OFFER_STATUS_REJECTED].includes(status)) {
+    return { ok: false, status: 409, error: `Offer is already ${status.toLowerCase()}.` };
+  }
+
+  const price          = parseNumericField(offerRecord.get('Partner Offer'));
+  const vatType        = parseVatType(offerRecord.get('VAT Type')) || VAT_MARGIN;
+  const sellerRecordId = getLinkedRecordIds(offerRecord.get('Seller ID'))[0] || null;
+  const orderRecordId  = getLinkedRecordIds(offerRecord.get('Linked Orders'))[0] || null;
+
+  if (!Number.isFinite(price) || !sellerRecordId || !orderRecordId) {
+    return { ok: false, status: 400, error: 'Offer has no valid price, seller or linked order.' };
+  }
+
+  const order        = await base(ordersTableName).find(orderRecordId);
+  const sellerRecord = await base(sellersTableName).find(sellerRecordId);
+  const sellerCode   = sellerRecord.get('Seller ID');
+  const deal         = findLatestDealForRecord(orderRecordId) || getDealFromOrderRecord(order);
+
+  const result = await claimDeal({
+    deal,
+    seller: { id: sellerRecordId, code: sellerCode },
+    price,
+    vatType,
+    orderRecordId,
+    acceptedOfferId: offerRecordId,
+    contentPrefix: 'Offer accepted for'
+  });
+
+  if (!result.ok) {
+    return {
+      ok: false,
+      status: 409,
+      error: result.reason === 'own' ? 'This seller already claimed the order.' : 'Order already claimed by someone else.'
+    };
+  }
+
+  // An accepted offer ends a running auction on the same order
+  stopAuction(orderRecordId);
+
+  try {
+    const losers = await markOfferOutcomes(orderRecordId, offerRecordId);
+
+    if (notifyLosers) {
+      // One message per losing seller, not per offer
+      const losingSellerIds = new Set(
+        losers.map(offer => offer.sellerRecordId).filter(id => id && id !== sellerRecordId)
+      );
+
+      for (const loserId of losingSellerIds) {
+        await sendSellerOfferLostWebhook({
+          webhookUrl: await getSellerWebhookUrlByRecordId(loserId),
+          orderRecordId,
+          sellerRecordId: loserId,
+          productName: deal.productName,
+          size: deal.size,
+          dealId: deal.dealId
+        });
+      }
+    }
+  } catch (e) {
+    console.error(`Failed to mark / notify losing offers for ${orderRecordId}:`, e);
+  }
+
+  console.log(`🤝 Offer ${offerRecordId} accepted${acceptedBy ? ` by ${acceptedBy}` : ''} for ${sellerCode}`);
+  return { ok: true, unit: result.unit, sellerCode, price, vatType };
+}
+
+/* ---- Scheduling ---- */
+
+// setTimeout can't wait longer than ~24.8 days
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * Run fn at an absolute timestamp (ms), even if that is further away than
+ * setTimeout allows. Past timestamps fire right away. Returns { cancel }.
+ */
+function scheduleAt(timestamp, fn) {
+  let timer = null;
+
+  const arm = () => {
+    const delay = timestamp - Date.now();
+    if (delay > MAX_TIMEOUT_MS) {
+      timer = setTimeout(arm, MAX_TIMEOUT_MS);
+      return;
+    }
+    timer = setTimeout(fn, Math.max(0, delay));
+  };
+
+  arm();
+  return { cancel: () => clearTimeout(timer) };
+}
+
+/* ---- Reverse auctions (offer-only deals) ---- */
+
+// An offer within this window before the deadline pushes the deadline out
+const AUCTION_SNIPE_WINDOW_MS = 2 * 60 * 1000;
+// …to this long after the late offer
+const AUCTION_EXTENSION_MS    = 2 * 60 * 1000;
+
+// Running auctions, keyed by order record ID: { endsAt, timer, closing }
+const activeAuctions = new Map();
+
+/**
+ * Start (or restart) the close timer for an auction.
+ */
+function startAuction(orderRecordId, endsAt) {
+  activeAuctions.get(orderRecordId)?.timer.cancel();
+
+  activeAuctions.set(orderRecordId, {
+    endsAt,
+    closing: false,
+    timer: scheduleAt(endsAt, () => closeAuction(orderRecordId))
+  });
+}
+
+/**
+ * Stop an auction without awarding it (deal disabled or cancelled by staff).
+ */
+function stopAuction(orderRecordId) {
+  const auction = activeAuctions.get(orderRecordId);
+  if (!auction) return;
+
+  auction.timer.cancel();
+  activeAuctions.delete(orderRecordId);
+}
+
+/**
+ * Called after an offer was accepted on an auction deal.
+ * Pushes the deadline out if the offer came in just before it (anti-sniping).
+ */
+async function extendAuctionIfSniped(orderRecordId) {
+  const auction = activeAuctions.get(orderRecordId);
+  if (!auction || auction.closing) return;
+  if (auction.endsAt - Date.now() >= AUCTION_SNIPE_WINDOW_MS) return;
+
+  const endsAt = Date.now() + AUCTION_EXTENSION_MS;
+  startAuction(orderRecordId, endsAt);
+
+  console.log(`⏱️ Auction for ${orderRecordId} extended to ${new Date(endsAt).toISOString()}`);
+
+  try {
+    await base(ordersTableName).update(orderRecordId, {
+      'Partner Auction Ends At': new Date(endsAt).toISOString()
+    });
+  } catch (e) {
+    console.error('Failed to store extended auction end time:', e);
+  }
+}
+
+/**
+ * Close an auction: disable the buttons and award the lowest offer
+ * (earliest wins on a tie) by creating its Inventory Unit at the offer price.
+ */
+async function closeAuction(orderRecordId) {
+  const auction = activeAuctions.get(orderRecordId);
+  if (!auction || auction.closing) return;
+  auction.closing = true;
+
+  // Shown if settling fails part-way; the auction is closed either way
+  let resultText = 'The auction could not be settled – staff will follow up.';
+
+  try {
+    const order  = await base(ordersTableName).find(orderRecordId);
+    const offers = await getPartnerOffersForOrder(orderRecordId);
+
+    const winner = offers
+      .filter(offer => offer.sellerRecordId)
+      .sort((a, b) =>
+        a.net - b.net || String(a.createdTime).localeCompare(String(b.createdTime))
+      )[0];
+
+    resultText = 'No offers were made.';
+
+    if (winner) {
+      const sellerRecord = await base(sellersTableName).find(winner.sellerRecordId);
+      const sellerCode   = sellerRecord.get('Seller ID');
+
+      const result = await claimDeal({
+        deal: getDealFromOrderRecord(order),
+        seller: { id: winner.sellerRecordId, code: sellerCode },
+        price: winner.price,
+        vatType: winner.vatType,
+        orderRecordId,
+        // The auction close below disables the messages itself
+        disableMessages: false,
+        acceptedOfferId: winner.id,
+        contentPrefix: 'Auction won by'
+      });
+
+      if (result.ok) {
+        resultText = `Winning offer: **€${winner.price.toFixed(2)}** (${winner.vatType})`;
+        await markOfferOutcomes(orderRecordId, winner.id).catch(e =>
+          console.error(`Failed to mark offer outcomes for ${orderRecordId}:`, e)
+        );
+        console.log(`🏁 Auction ${orderRecordId} awarded to ${sellerCode} at €${winner.price.toFixed(2)}`);
+      } else {
+        resultText = 'The deal was already claimed, so no offer was awarded.';
+        console.warn(`⚠️ Auction ${orderRecordId} ended but the order was already claimed, not awarding.`);
+      }
+    }
+  } catch (e) {
+    console.error(`Failed to settle auction for ${orderRecordId}:`, e);
+  } finally {
+    // Always close: an auction left open would take offers with no deadline
+    cancelDealExpiry(orderRecordId);
+
+    try {
+      await updateDealMessagesForRecord(orderRecordId, {
+        fields: [{ name: '🏁 Auction ended', value: resultText }],
+        disabled: true
+      });
+      await base(ordersTableName).update(orderRecordId, {
+        'Partner Deal Buttons Disabled': true
+      });
+    } catch (e) {
+      console.error(`Failed to close auction messages for ${orderRecordId}:`, e);
+    }
+
+    activeAuctions.delete(orderRecordId);
+  }
+}
+
+/**
+ * Re-arm auctions that were still running when the bot restarted.
+ */
+async function resumeAuctions() {
+  const records = await base(ordersTableName)
+    .select({
+      filterByFormula: `AND({Partner Auction Ends At}, NOT({Partner Deal Buttons Disabled}))`
+    })
+    .all();
+
+  for (const rec of records) {
+    const endsAt = Date.parse(rec.get('Partner Auction Ends At'));
+    if (Number.isFinite(endsAt)) {
+      startAuction(rec.id, endsAt);
+    }
+  }
+
+  if (records.length > 0) {
+    console.log(`⏳ Resumed ${records.length} running auction(s).`);
+  }
+}
+
+client.once(Events.ClientReady, () => {
+  resumeAuctions().catch(e => console.error('Failed to resume auctions:', e));
+});
+
+/* ---- Deal expiry ---- */
+
+// Pending expiries, keyed by order record ID: { expiresAt, timer }
+const dealExpiries = new Map();
+
+/**
+ * Read the optional expiresAt (ISO) / ttlMinutes from a deal payload.
+ * Returns { expiresAt } (null when not set) or { error }.
+ */
+function parseDealExpiry({ expiresAt, ttlMinutes, recordId }) {
+  if (!expiresAt && !ttlMinutes) return { expiresAt: null };
+
+  if (!recordId) {
+    return { error: 'An expiring deal needs a recordId.' };
+  }
+
+  const at = expiresAt
+    ? Date.parse(expiresAt)
+    : Date.now() + Number(ttlMinutes) * 60 * 1000;
+
+  if (!Number.isFinite(at) || at <= Date.now()) {
+    return { error: 'Invalid expiry time.' };
+  }
+
+  return { expiresAt: at };
+}
+
+function isDealExpired(deal) {
+  return Boolean(deal.expiresAt) && Date.now() >= deal.expiresAt;
+}
+
+function scheduleDealExpiry(orderRecordId, expiresAt) {
+  dealExpiries.get(orderRecordId)?.timer.cancel();
+
+  dealExpiries.set(orderRecordId, {
+    expiresAt,
+    timer: scheduleAt(expiresAt, () => expireDeal(orderRecordId))
+  });
+}
+
+function cancelDealExpiry(orderRecordId) {
+  dealExpiries.get(orderRecordId)?.timer.cancel();
+  dealExpiries.delete(orderRecordId);
+}
+
+/**
+ * The deal ran out: disable every copy and mark it "Expired",
+ * unless it was claimed or disabled in the meantime.
+ */
+async function expireDeal(orderRecordId) {
+  dealExpiries.delete(orderRecordId);
+
+  try {
+    const order = await base(ordersTableName).find(orderRecordId);
+    if (order.get('Partner Deal Buttons Disabled')) return;
+
+    // An unfinished auction on the same deal ends without a winner
+    stopAuction(orderRecordId);
+    cancelEscalation(orderRecordId);
+
+    await updateDealMessagesForRecord(orderRecordId, {
+      title: '⌛ DEAL EXPIRED ⌛',
+      color: 0x95a5a6,
+      fields: [{ name: 'Status', value: 'Expired – this deal can no longer be claimed.' }],
+      disabled: true
+    });
+
+    await base(ordersTableName).update(orderRecordId, {
+      'Partner Deal Buttons Disabled': true,
+      'Partner Deal Expires At': null
+    });
+
+    console.log(`⌛ Deal for ${orderRecordId} expired.`);
+  } catch (e) {
+    console.error(`Failed to expire deal for ${orderRecordId}:`, e);
+  }
+}
+
+/**
+ * Re-arm expiries of deals that were still open when the bot restarted.
+ * Deals that expired while the bot was down are expired right away.
+ */
+async function resumeDealExpiries() {
+  const records = await base(ordersTableName)
+    .select({
+      filterByFormula: `AND({Partner Deal Expires At}, NOT({Partner Deal Buttons Disabled}))`
+    })
+    .all();
+
+  for (const rec of records) {
+    const expiresAt = Date.parse(rec.get('Partner Deal Expires At'));
+    if (Number.isFinite(expiresAt)) {
+      scheduleDealExpiry(rec.id, expiresAt);
+    }
+  }
+
+  if (records.length > 0) {
+    console.log(`⌛ Rescheduled ${records.length} deal expiry(s).`);
+  }
+}
+
+client.once(Events.ClientReady, () => {
+  resumeDealExpiries().catch(e => console.error('Failed to reschedule deal expiries:', e));
+});
+
+/* ---- Payout escalation (Dutch auction) ---- */
+
+// Pending payout raises, keyed by order record ID (persisted in dealStore.data.escalations)
+const escalationTimers = new Map();
+
+/**
+ * Read the optional escalation schedule from a deal payload:
+ * { step, everyMinutes, maxPayout } – raise the payout by `step` every
+ * `everyMinutes` until it reaches `maxPayout`.
+ * Returns { escalation } (null when not set) or { error }.
+ */
+function parseEscalation(raw, { startPayout, recordId }) {
+  if (!raw) return { escalation: null };
+
+  if (!recordId) {
+    return { error: 'An escalating deal needs a recordId.' };
+  }
+
+  const escalation = {
+    step: Number(raw.step),
+    everyMinutes: Number(raw.everyMinutes),
+    maxPayout: Number(raw.maxPayout)
+  };
+
+  if (
+    !(escalation.step > 0) ||
+    !(escalation.everyMinutes > 0) ||
+    !(escalation.maxPayout > Number(startPayout))
+  ) {
+    return { error: 'Invalid escalation (needs step > 0, everyMinutes > 0 and maxPayout above startPayout).' };
+  }
+
+  return { escalation };
+}
+
+function scheduleEscalation(orderRecordId, entry) {
+  dealStore.data.escalations[orderRecordId] = entry;
+  dealStore.save();
+
+  escalationTimers.get(orderRecordId)?.cancel();
+  escalationTimers.set(orderRecordId, scheduleAt(entry.nextAt, () => escalateDeal(orderRecordId)));
+}
+
+function startEscalation(orderRecordId, escalation) {
+  scheduleEscalation(orderRecordId, {
+    ...escalation,
+    nextAt: Date.now() + escalation.everyMinutes * 60 * 1000
+  });
+}
+
+function cancelEscalation(orderRecordId) {
+  escalationTimers.get(orderRecordId)?.cancel();
+  escalationTimers.delete(orderRecordId);
+
+  if (dealStore.data.escalations[orderRecordId]) {
+    delete dealStore.data.escalations[orderRecordId];
+    dealStore.save();
+  }
+}
+
+/**
+ * Nobody claimed yet: raise the payout one step on every copy of the deal
+ * and on the order record, then schedule the next raise (until the cap).
+ */
+async function escalateDeal(orderRecordId) {
+  escalationTimers.delete(orderRecordId);
+
+  const entry = dealStore.data.escalations[orderRecordId];
+  if (!entry) return;
+
+  try {
+    const order  = await base(ordersTableName).find(orderRecordId);
+    const latest = findLatestDealForRecord(orderRecordId);
+
+    // Claimed, disabled or being claimed right now – stop escalating
+    if (!latest || order.get('Partner Deal Buttons Disabled') || claimLocks.has(orderRecordId)) {
+      cancelEscalation(orderRecordId);
+      return;
+    }
+
+    const startPayout = Math.min(latest.startPayout + entry.step, entry.maxPayout);
+    const deal        = { ...latest, startPayout };
+
+    for (const stored of Object.values(dealStore.data.deals)) {
+      if (stored.recordId === orderRecordId) stored.startPayout = startPayout;
+    }
+    await dealStore.save();
+
+    await base(ordersTableName).update(orderRecordId, {
+      'Target Outsource Buying Price': getPayoutForVatType(deal, VAT_MARGIN)
+    });
+
+    await updateDealMessagesForRecord(orderRecordId, { description: buildDealDescription(deal) });
+
+    console.log(`📈 Payout for ${orderRecordId} raised to €${startPayout.toFixed(2)}`);
+
+    if (startPayout < entry.maxPayout) {
+      scheduleEscalation(orderRecordId, { ...entry, nextAt: entry.nextAt + entry.everyMinutes * 60 * 1000 });
+    } else {
+      cancelEscalation(orderRecordId);
+    }
+  } catch (e) {
+    console.error(`Failed to escalate payout for ${orderRecordId}:`, e);
+  }
+}
+
+client.once(Events.ClientReady, () => {
+  for (const [orderRecordId, entry] of Object.entries(dealStore.data.escalations)) {
+    escalationTimers.set(orderRecordId, scheduleAt(entry.nextAt, () => escalateDeal(orderRecordId)));
+  }
+});
+
+/* ---- Deal routing ---- */
+
+/**
+ * Routing rules (JSON file, see config/deal-routing.example.json).
+ * The first rule whose brand / payout filters match a deal decides:
+ *  - channelIds:  general channels (default: DISCORD_DEALS_CHANNEL_ID)
+ *  - earlyAccess: { channelIds, tiers, minutes } – post there first, restricted to
+ *                 sellers of those tiers, and only after `minutes` to the general channels
+ * A deal payload can override both through `routing: { channelIds, earlyAccess }`
+ * (earlyAccess: null switches early access off).
+ */
+const routingConfig = loadJsonConfig(DEAL_ROUTING_CONFIG || './config/deal-routing.json', { rules: [] });
+
+// Every channel deal posts can live in, for interaction checks and message lookups
+const knownDealChannelIds = [...new Set([
+  ...dealsChannelIds,
+  ...(routingConfig.rules || []).flatMap(rule => [
+    ...(rule.channelIds || []),
+    ...(rule.earlyAccess?.channelIds || [])
+  ])
+])];
+
+function routingRuleMatches(rule, deal) {
+  if (Array.isArray(rule.brands) && rule.brands.length > 0) {
+    const brand = String(deal.brand || '').toLowerCase();
+    if (!rule.brands.some(b => String(b).toLowerCase() === brand)) return false;
+  }
+  if (rule.minPayout != null && deal.startPayout < rule.minPayout) return false;
+  if (rule.maxPayout != null && deal.startPayout > rule.maxPayout) return false;
+  return true;
+}
+
+/**
+ * Work out where a deal goes: { channelIds, earlyAccess } (earlyAccess may be null).
+ */
+function resolveDealRouting(deal) {
+  const rule     = (routingConfig.rules || []).find(r => routingRuleMatches(r, deal)) || {};
+  const override = deal.routing || {};
+
+  const channelIds =
+    override.channelIds?.length ? override.channelIds :
+    rule.channelIds?.length     ? rule.channelIds :
+    dealsChannelIds;
+
+  const early = override.earlyAccess !== undefined ? override.earlyAccess : rule.earlyAccess;
+  const earlyAccess = early && early.channelIds?.length && Number(early.minutes) > 0
+    ? { channelIds: early.channelIds, tiers: early.tiers || [], minutes: Number(early.minutes) }
+    : null;
+
+  return { channelIds, earlyAccess };
+}
+
+/**
+ * Whether an interaction comes from a deal post: a deals / routed channel,
+ * or a message we remember posting (e.g. to a channel set by a payload override).
+ */
+function isDealMessage(channelId, messageId) {
+  return knownDealChannelIds.includes(channelId) || Boolean(dealStore.data.deals[messageId]);
+}
+
+/**
+ * Whether a seller may act on a deal post. Early-access posts are limited to
+ * the tiers they were routed for. Returns a refusal message or null.
+ */
+function getDealAccessError(deal, seller) {
+  const tiers = deal.earlyAccess?.tiers || [];
+  if (tiers.length === 0) return null;
+
+  const sellerTier = String(seller.tier || '').toLowerCase();
+  if (tiers.some(tier => String(tier).toLowerCase() === sellerTier)) return null;
+
+  return `❌ This early-access deal is reserved for ${tiers.join(' / ')} partners.`;
+}
+
+/* ---- Discord send queue ---- */
+
+// Deal posts go out one at a time with some spacing, so a burst (e.g. a batch
+// of 80 deals × several channels) stays under Discord's rate limits
+const SEND_QUEUE_SPACING_MS = 250;
+const SEND_MAX_ATTEMPTS     = 4;
+const SEND_RETRY_BASE_MS    = 1000;
+
+// Connection-level failures worth retrying (Node / undici error codes)
+const RETRYABLE_NETWORK_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'
+];
+
+// Deal posts and watch alert DMs queue separately, so DMs never hold up a deal post
+const sendQueueTails = { deals: Promise.resolve(), dms: Promise.resolve() };
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Send a message through a queue ('deals' or 'dms'). Rate limits (429),
+ * Discord server errors and network errors are retried with backoff; other
+ * errors are thrown to the caller.
+ */
+function queueChannelSend(channel, payload, queue = 'deals') {
+  const run = sendQueueTails[queue].then(() => sendWithRetry(channel, payload));
+  sendQueueTails[queue] = run.catch(() => {}).then(() => sleep(SEND_QUEUE_SPACING_MS));
+  return run;
+}
+
+function isRetryableSendError(e) {
+  return (
+    e.status === 429 ||
+    e.status >= 500 ||
+    RETRYABLE_NETWORK_CODES.includes(e.code) ||
+    e.name === 'AbortError' // request timed out
+  );
+}
+
+async function sendWithRetry(channel, payload) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await channel.send(payload);
+    } catch (e) {
+      if (!isRetryableSendError(e) || attempt >= SEND_MAX_ATTEMPTS) throw e;
+
+      const waitMs = e.retryAfter ?? SEND_RETRY_BASE_MS * 2 ** (attempt - 1);
+      console.warn(`⚠️ Sending to ${channel.id} failed (${e.status || e.code || e.message}), retrying in ${waitMs}ms`);
+      await sleep(waitMs);
+    }
+  }
+}
+
+/* ---- Posting deals ---- */
+
+/**
+ * Deal embed description (also re-rendered when the payout escalates).
+ */
+function buildDealDescription(deal) {
+  const { escalation } = deal;
+
+  return [
+    `**Product Name:** ${deal.productName}`,
+    `**SKU:** ${deal.sku}`,
+    deal.units
+      ? `**Sizes:** ${[...countRemainingBySize(deal)].map(([size, count]) => `${size} ×${count}`).join(', ')}`
+      : `**Size:** ${deal.size}`,
+    deal.units ? `**Remaining:** ${getRemainingUnits(deal).length} of ${deal.units.length}` : null,
+    `**Brand:** ${deal.brand}`,
+    ...VAT_TYPES.map(vatType => `**Payout (${vatType}):** €${getPayoutForVatType(deal, vatType).toFixed(2)}`),
+    deal.dealId ? `**Order ID:** ${deal.dealId}` : null,
+    deal.expiresAt ? `**Expires:** <t:${Math.floor(deal.expiresAt / 1000)}:R>` : null,
+    escalation && deal.startPayout < escalation.maxPayout
+      ? `📈 Payout rises €${escalation.step.toFixed(2)} every ${escalation.everyMinutes} min ` +
+        `(up to €${escalation.maxPayout.toFixed(2)}) until claimed`
+      : null
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Build the deal embed. Text is display-only; claims read the stored deal.
+ */
+function buildDealEmbed(deal) {
+  const embed = new EmbedBuilder()
+    .setTitle(deal.offerOnly ? '🧨 NEW DEAL (OFFER ONLY) 🧨' : '🧨 NEW DEAL 🧨')
+    .setDescription(buildDealDescription(deal))
+    .setColor(0xf1c40f);
+
+  if (deal.imageUrl) {
+    embed.setImage(deal.imageUrl);
+  }
+
+  if (deal.auctionEndsAt) {
+    embed.setFields(buildDealStatusFields({ auctionEndsAt: deal.auctionEndsAt }));
+  }
+
+  return embed;
+}
+
+/**
+ * Send the deal embed + buttons to the given channels.
+ * Returns [{ channelId, messageId }] for every copy that was posted.
+ */
+async function sendDealToChannels(deal, channelIds) {
+  const embed      = buildDealEmbed(deal);
+  const components = [
+    deal.offerOnly ? buildOfferOnlyRow(false) : deal.units ? buildClaimOnlyRow(false) : buildButtonsRow(false)
+  ];
+  const posted     = [];
+
+  for (const channelId of channelIds) {
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    if (!channel || !channel.isTextBased()) {
+      console.warn(`⚠️ Deals channel ${channelId} not found or not text-based.`);
+      continue;
+    }
+
+    const msg = await queueChannelSend(channel, { embeds: [embed], components });
+    posted.push({ channelId, messageId: msg.id });
+  }
+
+  return posted;
+}
+
+/**
+ * Post a deal according to its routing, remember it per message and store the
+ * message IDs on its order record. Starts the auction timer for auction deals
+ * and the expiry / escalation timers for deals that have them.
+ * With early access, only the early-access channels are posted to now and the
+ * general channels are scheduled for later.
+ * Returns the posted message IDs (empty if no deals channel was usable).
+ */
+async function postDeal(deal) {
+  const { channelIds, earlyAccess } = resolveDealRouting(deal);
+
+  const releaseAt = earlyAccess ? Date.now() + earlyAccess.minutes * 60 * 1000 : null;
+  const firstDeal = earlyAccess
+    ? { ...deal, earlyAccess: { tiers: earlyAccess.tiers, until: new Date(releaseAt).toISOString() } }
+    : deal;
+
+  const posted = await sendDealToChannels(firstDeal, earlyAccess ? earlyAccess.channelIds : channelIds);
+  if (posted.length === 0) return [];
+
+  await saveDealForMessages(posted, firstDeal);
+
+  if (deal.units) {
+    // Every unit's order points at the shared post
+    await updateUnitOrdersForPost(deal, posted);
+  }
+
+  if (deal.recordId) {
+    // A new post supersedes any general release still pending for this order
+    cancelGeneralReleasesForRecord(deal.recordId);
+
+    try {
+      await base(ordersTableName).update(deal.recordId, {
+        'Partner Deal Message ID': formatDealMessageRefs(posted),
+        'Partner Deal Buttons Disabled': false,
+        'Partner Auction Ends At': deal.auctionEndsAt ? new Date(deal.auctionEndsAt).toISOString() : null,
+        'Partner Deal Expires At': deal.expiresAt ? new Date(deal.expiresAt).toISOString() : null
+      });
+    } catch (e) {
+      console.error('Failed to update order record with message IDs / reset flag:', e);
+    }
+
+    cancelDealExpiry(deal.recordId);
+    if (deal.expiresAt) {
+      scheduleDealExpiry(deal.recordId, deal.expiresAt);
+    }
+
+    cancelEscalation(deal.recordId);
+    if (deal.escalation && deal.startPayout < deal.escalation.maxPayout) {
+      startEscalation(deal.recordId, deal.escalation);
+    }
+  }
+
+  if (deal.auctionEndsAt) {
+    startAuction(deal.recordId, deal.auctionEndsAt);
+  }
+
+  if (earlyAccess) {
+    // Watchers are alerted once the deal reaches the general channels
+    scheduleGeneralRelease(posted[0].messageId, { deal, channelIds, at: releaseAt });
+  } else {
+    notifyWatchers(deal, posted).catch(e => console.error('Failed to send watch alerts:', e));
+  }
+
+  return posted.map(p => p.messageId);
+}
+
+/**
+ * Store the posted message refs on every order of a multi-unit deal that is still open.
+ */
+async function updateUnitOrdersForPost(deal, posted, { append = false } = {}) {
+  for (const unit of getRemainingUnits(deal)) {
+    try {
+      const existing = append
+        ? parseDealMessageRefs((await base(ordersTableName).find(unit.recordId)).get('Partner Deal Message ID'))
+        : [];
+
+      await base(ordersTableName).update(unit.recordId, {
+        'Partner Deal Message ID': formatDealMessageRefs([...existing, ...posted]),
+        'Partner Deal Buttons Disabled': false
+      });
+    } catch (e) {
+      console.error(`Failed to update unit order ${unit.recordId} with message IDs:`, e);
+    }
+  }
+}
+
+/**
+ * Post an order's deal again: the last posted version (without its auction,
+ * early access or expiry), or one built from the order record.
+ * Old copies are disabled first. Units of a multi-unit post are reopened on
+ * that post instead. Returns the new message IDs, or null if the order has no
+ * valid payout.
+ */
+async function repostDeal(order) {
+  const orderRecordId = order.id;
+
+  // A unit of a multi-unit post is offered again on that post
+  const group = findDealGroupForRecord(orderRecordId);
+  if (group) {
+    return setDealUnitState(group.groupId, orderRecordId, { claimed: false, closed: false });
+  }
+
+  const previous      = findLatestDealForRecord(orderRecordId);
+  const deal = previous
+    ? { ...previous, auctionEndsAt: null, earlyAccess: null, expiresAt: null }
+    : { ...getDealFromOrderRecord(order), imageUrl: null, recordId: orderRecordId, offerOnly: false };
+
+  if (!Number.isFinite(deal.startPayout)) return null;
+
+  // Old copies must not stay clickable next to the new post
+  stopAuction(orderRecordId);
+  await disableDealMessagesForRecord(orderRecordId);
+  releaseClaimLock(orderRecordId);
+
+  return postDeal(deal);
+}
+
+/* ---- Early access → general release ---- */
+
+// Timers for pending general releases, keyed like dealStore.data.releases
+const releaseTimers = new Map();
+
+function scheduleGeneralRelease(key, release) {
+  dealStore.data.releases[key] = release;
+  dealStore.save();
+
+  releaseTimers.get(key)?.cancel();
+  releaseTimers.set(key, scheduleAt(release.at, () => releaseDealToGeneral(key)));
+}
+
+function cancelGeneralReleasesForRecord(orderRecordId) {
+  for (const [key, release] of Object.entries(dealStore.data.releases)) {
+    if (release.deal.recordId !== orderRecordId) continue;
+
+    releaseTimers.get(key)?.cancel();
+    releaseTimers.delete(key);
+    delete dealStore.data.releases[key];
+  }
+  dealStore.save();
+}
+
+function pickCurrentState(deal) {
+  if (deal.groupId) {
+    const latest = getDealGroupCopies(deal.groupId).at(-1)?.deal;
+    return latest ? { units: latest.units } : {};
+  }
+
+  const latest = deal.recordId ? findLatestDealForRecord(deal.recordId) : null;
+  return latest ? { startPayout: latest.startPayout } : {};
+}
+
+/**
+ * Early access is over: post the deal to the general channels,
+ * unless it was claimed or disabled in the meantime.
+ */
+async function releaseDealToGeneral(key) {
+  const release = dealStore.data.releases[key];
+  releaseTimers.delete(key);
+  if (!release) return;
+
+  delete dealStore.data.releases[key];
+  await dealStore.save();
+
+  const { channelIds } = release;
+  // The payout may have escalated (or units been claimed) during early access
+  const deal = { ...release.deal, ...pickCurrentState(release.deal) };
+
+  if (deal.units && getRemainingUnits(deal).length === 0) {
+    console.log(`⏭️ All units of ${deal.dealId || key} claimed during early access, not releasing it.`);
+    return;
+  }
+
+  try {
+    const order = deal.recordId ? await base(ordersTableName).find(deal.recordId) : null;
+    if (order?.get('Partner Deal Buttons Disabled')) {
+      console.log(`⏭️ Deal for ${deal.recordId} closed during early access, not releasing it.`);
+      return;
+    }
+
+    const posted = await sendDealToChannels(deal, channelIds);
+    if (posted.length === 0) return;
+
+    await saveDealForMessages(posted, deal);
+
+    if (deal.units) {
+      await updateUnitOrdersForPost(deal, posted, { append: true });
+    }
+
+    notifyWatchers(deal, posted).catch(e => console.error('Failed to send watch alerts:', e));
+
+    if (order) {
+      const existingRefs = parseDealMessageRefs(order.get('Partner Deal Message ID'));
+
+      await base(ordersTableName).update(order.id, {
+        'Partner Deal Message ID': formatDealMessageRefs([...existingRefs, ...posted])
+      });
+
+      // Offers made during early access should show on the new copies too
+      const { count } = await getPartnerOfferStats(order.id);
+      if (count > 0) {
+        await refreshDealStatusForRecord(order.id);
+      }
+    }
+
+    console.log(`📢 Released deal ${deal.dealId || deal.recordId || key} to the general channels.`);
+  } catch (e) {
+    console.error(`Failed to release deal ${key} to the general channels:`, e);
+  }
+}
+
+client.once(Events.ClientReady, () => {
+  for (const [key, release] of Object.entries(dealStore.data.releases)) {
+    releaseTimers.set(key, scheduleAt(release.at, () => releaseDealToGeneral(key)));
+  }
+});
+
+/* ---- Batch posting ---- */
+
+const BATCH_MAX_DEALS    = 200;
+// Finished jobs can be queried for this long
+const BATCH_JOB_TTL_MS   = 24 * 60 * 60 * 1000;
+
+// jobId → { id, createdAt, finishedAt, deals: [{ index, dealId, recordId, status, messageIds, error }] }
+// status: 'pending' | 'posted' | 'failed'
+const batchJobs = new Map();
+
+function summarizeBatchJob(job) {
+  const counts = { pending: 0, posted: 0, failed: 0 };
+  for (const entry of job.deals) counts[entry.status]++;
+
+  return {
+    jobId: job.id,
+    status: job.finishedAt ? 'done' : 'running',
+    createdAt: job.createdAt,
+    finishedAt: job.finishedAt,
+    total: job.deals.length,
+    ...counts,
+    deals: job.deals.map(({ deal, ...entry }) => entry)
+  };
+}
+
+/**
+ * Post the deals of a job one after another (their messages go through the send queue).
+ */
+async function runBatchJob(job) {
+  for (const entry of job.deals) {
+    if (entry.status !== 'pending') continue;
+
+    try {
+      const messageIds = await postDeal(entry.deal);
+      if (messageIds.length === 0) {
+        entry.status = 'failed';
+        entry.error  = 'No valid deal channels available.';
+      } else {
+        entry.status     = 'posted';
+        entry.messageIds = messageIds;
+      }
+    } catch (e) {
+      console.error(`Batch ${job.id}: failed to post deal #${entry.index}:`, e);
+      entry.status = 'failed';
+      entry.error  = 'Internal error.';
+    }
+  }
+
+  job.finishedAt = new Date().toISOString();
+  const { posted, failed } = summarizeBatchJob(job);
+  console.log(`📦 Batch ${job.id} done: ${posted} posted, ${failed} failed.`);
+}
+
+setInterval(() => {
+  const cutoff = Date.now() - BATCH_JOB_TTL_MS;
+  for (const [jobId, job] of batchJobs) {
+    if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) batchJobs.delete(jobId);
+  }
+}, 60 * 60 * 1000);
+
+/* ---- API authentication ---- */
+
+// Signed requests must be this fresh; signatures are remembered this long
+const API_SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000;
+
+/**
+ * API_KEYS="airtable:<secret>,make:<secret>"
+ * One entry per caller secret. A caller may have several secrets at once,
+ * so a key is rotated by adding the new one, switching the caller over,
+ * then removing the old one.
+ */
+const apiKeys = (API_KEYS || '').split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const idx = entry.indexOf(':');
+    return idx > 0
+      ? { caller: entry.slice(0, idx).trim(), secret: entry.slice(idx + 1).trim() }
+      : null;
+  })
+  .filter(key => key && key.secret);
+
+const apiAuthDisabled = API_AUTH_DISABLED === 'true';
+
+if (apiAuthDisabled) {
+  console.warn('⚠️ API_AUTH_DISABLED is set – the HTTP API accepts unauthenticated requests.');
+} else if (apiKeys.length === 0) {
+  console.error('❌ API_KEYS is not set. Set it, or set API_AUTH_DISABLED=true to run without authentication.');
+  process.exit(1);
+}
+
+// Signatures already used, for replay protection: signature → expiry (ms)
+const seenApiSignatures = new Map();
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Identify the caller of a request. Two schemes are accepted:
+ *  - API key:  "Authorization: Bearer <secret>"
+ *  - HMAC:     "X-Api-Caller: <caller>", "X-Api-Timestamp: <unix seconds>",
+ *              "X-Api-Signature: <hex HMAC-SHA256 of `${timestamp}.${method}.${path}.${rawBody}`>"
+ *    where path is the request path including the query string, e.g. "/partner-deal".
+ * Returns { caller } or { error }.
+ */
+function authenticateApiRequest(req) {
+  const signature = req.get('X-Api-Signature');
+
+  if (signature) {
+    const caller    = req.get('X-Api-Caller');
+    const timestamp = Number(req.get('X-Api-Timestamp'));
+
+    if (!caller || !Number.isFinite(timestamp)) {
+      return { error: 'missing caller or timestamp' };
+    }
+    if (Math.abs(Date.now() - timestamp * 1000) > API_SIGNATURE_MAX_AGE_MS) {
+      return { error: 'stale timestamp' };
+    }
+
+    // Method and path are signed too, so a signature can't be replayed against another endpoint
+    const body    = req.rawBody ? req.rawBody.toString('utf8') : '';
+    const payload = `${timestamp}.${req.method}.${req.originalUrl}.${body}`;
+    const valid = apiKeys
+      .filter(key => key.caller === caller)
+      .some(key =>
+        safeEqual(crypto.createHmac('sha256', key.secret).update(payload).digest('hex'), signature)
+      );
+
+    if (!valid) return { error: `bad signature for caller ${caller}` };
+
+    const now = Date.now();
+    for (const [sig, expiresAt] of seenApiSignatures) {
+      if (expiresAt < now) seenApiSignatures.delete(sig);
+    }
+    if (seenApiSignatures.has(signature)) {
+      return { error: `replayed signature from caller ${caller}` };
+    }
+    seenApiSignatures.set(signature, now + 2 * API_SIGNATURE_MAX_AGE_MS);
+
+    return { caller };
+  }
+
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  if (scheme === 'Bearer' && token) {
+    const key = apiKeys.find(k => safeEqual(k.secret, token));
+    return key ? { caller: key.caller } : { error: 'unknown API key' };
+  }
+
+  return { error: 'no credentials' };
+}
+
+/**
+ * Express middleware guarding the HTTP API.
+ */
+function requireApiAuth(req, res, next) {
+  if (apiAuthDisabled) return next();
+
+  const { caller, error } = authenticateApiRequest(req);
+  if (!caller) {
+    console.warn(`🚫 Rejected ${req.method} ${req.path} from ${req.ip}: ${error}`);
+    return res.status(401).json({ error: 'Unauthorized.' });
+  }
+
+  req.apiCaller = caller;
+  return next();
+}
+
+/* ---------------- Express HTTP API ---------------- */
+
+const app = express();
+app.use(morgan('combined'));
+app.use(express.json({
+  limit: '1mb',
+  // Keep the exact bytes for HMAC signature checks
+  verify: (req, _res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+app.get('/', (_req, res) =>
+  res.type('text/plain').send('Partner Deal Bot OK')
+);
+
+app.get('/health', (_req, res) =>
+  res.json({ ok: true, ts: new Date().toISOString() })
+);
+
+/**
+ * Validate a /partner-deal payload and turn it into a deal for postDeal.
+ * Returns { deal } or { error }.
+ */
+function parsePartnerDealPayload(body) {
+  const {
+    productName,
+    sku,
+    size,
+    brand,
+    startPayout,
+    imageUrl,
+    dealId,
+    recordId,
+    vatType: vatTypeRaw, // VAT type startPayout is quoted in (default Margin)
+    routing,             // optional override of the routing rules
+    expiresAt: expiresAtRaw, // optional ISO date-time after which the deal is disabled
+    ttlMinutes,              // optional, alternative to expiresAt
+    escalation: escalationRaw, // optional { step, everyMinutes, maxPayout } payout raises
+    units: unitsRaw            // optional multi-unit list, see POST /partner-deal
+  } = body;
+
+  if (!productName || !sku || !(size || unitsRaw) || !brand || !startPayout) {
+    return { error: 'Missing required fields in payload.' };
+  }
+
+  const { units, error: unitsError } = parseDealUnits(unitsRaw, { size, recordId });
+  if (unitsError) return { error: unitsError };
+
+  const vatType = vatTypeRaw ? parseVatType(vatTypeRaw) : VAT_MARGIN;
+  if (!vatType) {
+    return { error: `Invalid vatType (expected ${VAT_TYPES.join(' or ')}).` };
+  }
+
+  const { expiresAt, error: expiryError } = parseDealExpiry({ expiresAt: expiresAtRaw, ttlMinutes, recordId });
+  if (expiryError) return { error: expiryError };
+
+  const { escalation, error: escalationError } = parseEscalation(escalationRaw, { startPayout, recordId });
+  if (escalationError) return { error: escalationError };
+
+  return {
+    deal: {
+      productName,
+      sku,
+      size,
+      brand,
+      startPayout: Number(startPayout),
+      vatType,
+      expiresAt,
+      escalation,
+      units,
+      groupId: units ? crypto.randomUUID() : null,
+      imageUrl: imageUrl || null,
+      dealId: dealId || null,
+      recordId: recordId || null,
+      offerOnly: false,
+      routing: routing || null
+    }
+  };
+}
+
+/**
+ * POST /partner-deal
+ * → Full Claim + Offer buttons
+ *
+ * Pass units (instead of recordId) to post several pairs / a size run at once:
+ * [{ "recordId": "<Unfulfilled Orders Log record>", "size": "42", "dealId": "…" }, …]
+ * (size defaults to the deal size, so 3 pairs of one size are 3 entries).
+ * Partners then pick a size and quantity; such posts have Claim buttons only.
+ */
+app.post('/partner-deal', requireApiAuth, async (req, res) => {
+  try {
+    const { deal, error } = parsePartnerDealPayload(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const messageIds = await postDeal(deal);
+
+    if (messageIds.length === 0) {
+      return res.status(500).json({ error: 'No valid deal channels available.' });
+    }
+
+    return res.json({
+      ok: true,
+      messageIds,
+      expiresAt: deal.expiresAt ? new Date(deal.expiresAt).toISOString() : undefined
+    });
+  } catch (err) {
+    console.error('Error in /partner-deal:', err);
+    return res.status(500).json({ error: 'Internal error.' });
+  }
+});
+
+/**
+ * POST /partner-deals/batch
+ * → Post many /partner-deal payloads at once
+ *
+ * Expected body: { "deals": [<same payload as /partner-deal>, …] }
+ * Answers right away with a job ID; poll GET /partner-deals/batch/:jobId for
+ * the per-deal status. Invalid deals are marked failed, the rest are posted.
+ */
+app.post('/partner-deals/batch', requireApiAuth, (req, res) => {
+  const { deals } = req.body || {};
+
+  if (!Array.isArray(deals) || deals.length === 0) {
+    return res.status(400).json({ error: 'deals must be a non-empty list.' });
+  }
+  if (deals.length > BATCH_MAX_DEALS) {
+    return res.status(400).json({ error: `At most ${BATCH_MAX_DEALS} deals per batch.` });
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    deals: deals.map((payload, index) => {
+      const { deal, error } = parsePartnerDealPayload(payload || {});
+      return {
+        index,
+        dealId: payload?.dealId || null,
+        recordId: payload?.recordId || null,
+        status: error ? 'failed' : 'pending',
+        messageIds: [],
+        error: error || null,
+        deal
+      };
+    })
+  };
+
+  batchJobs.set(job.id, job);
+  runBatchJob(job).catch(e => console.error(`Batch ${job.id} crashed:`, e));
+
+  console.log(`📦 Batch ${job.id} queued with ${deals.length} deal(s) (by ${req.apiCaller || 'unauthenticated caller'})`);
+  return res.status(202).json({ ok: true, jobId: job.id, total: deals.length });
+});
+
+/**
+ * GET /partner-deals/batch/:jobId
+ * → Progress and per-deal status of a batch
+ */
+app.get('/partner-deals/batch/:jobId', requireApiAuth, (req, res) => {
+  const job = batchJobs.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Unknown or expired job.' });
+  }
+
+  return res.json({ ok: true, ...summarizeBatchJob(job) });
+});
+
+/**
+ * POST /partner-offer-deal
+ * → Offer-only button (no Claim)
+ *
+ * Pass auctionEndsAt (ISO) or auctionMinutes to run it as a timed reverse auction:
+ * the lowest offer is awarded automatically when the countdown ends.
+ */
+app.post('/partner-offer-deal', requireApiAuth, async (req, res) => {
+  try {
+    const {
+      productName,
+      sku,
+      size,
+      brand,
+      startPayout,
+      imageUrl,
+      dealId,
+      recordId,
+      vatType: vatTypeRaw,             // VAT type startPayout is quoted in (default Margin)
+      routing,                         // optional override of the routing rules
+      auctionEndsAt: auctionEndsAtRaw, // optional ISO date-time
+      auctionMinutes,                  // optional, alternative to auctionEndsAt
+      expiresAt: expiresAtRaw,         // optional ISO date-time after which the deal is disabled
+      ttlMinutes                       // optional, alternative to expiresAt
+    } = req.body || {};
+
+    if (!productName || !sku || !size || !brand || !startPayout) {
+      return res.status(400).json({ error: 'Missing required fields in payload.' });
+    }
+
+    const vatType = vatTypeRaw ? parseVatType(vatTypeRaw) : VAT_MARGIN;
+    if (!vatType) {
+      return res.status(400).json({ error: `Invalid vatType (expected ${VAT_TYPES.join(' or ')}).` });
+    }
+
+    const { expiresAt, error: expiryError } = parseDealExpiry({ expiresAt: expiresAtRaw, ttlMinutes, recordId });
+    if (expiryError) {
+      return res.status(400).json({ error: expiryError });
+    }
+
+    // ⏳ Optional timed reverse auction
+    let auctionEndsAt = null;
+    if (auctionEndsAtRaw || auctionMinutes) {
+      if (!recordId) {
+        return res.status(400).json({ error: 'An auction needs a recordId.' });
+      }
+
+      auctionEndsAt = auctionEndsAtRaw
+        ? Date.parse(auctionEndsAtRaw)
+        : Date.now() + Number(auctionMinutes) * 60 * 1000;
+
+      if (!Number.isFinite(auctionEndsAt) || auctionEndsAt <= Date.now()) {
+        return res.status(400).json({ error: 'Invalid auction end time.' });
+      }
+    }
+
+    const messageIds = await postDeal({
+      productName,
+      sku,
+      size,
+      brand,
+      startPayout: Number(startPayout),
+      vatType,
+      expiresAt,
+      imageUrl: imageUrl || null,
+      dealId: dealId || null,
+      recordId: recordId || null,
+      offerOnly: true,
+      routing: routing || null,
+      auctionEndsAt
+    });
+
+    if (messageIds.length === 0) {
+      return res.status(500).json({ error: 'No valid deal channels available.' });
+    }
+
+    return res.json({
+      ok: true,
+      messageIds,
+      auctionEndsAt: auctionEndsAt ? new Date(auctionEndsAt).toISOString() : undefined,
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : undefined
+    });
+  } catch (err) {
+    console.error('Error in /partner-offer-deal:', err);
+    return res.status(500).json({ error: 'Internal error.' });
+  }
+});
+
+/**
+ * POST /partner-deal/disable
+ */
+app.post('/partner-deal/disable', requireApiAuth, async (req, res) => {
+  try {
+    const { recordId } = req.body || {};
+    if (!recordId) {
+      return res.status(400).json({ error: 'Missing recordId.' });
+    }
+
+    stopAuction(recordId);
+    cancelDealExpiry(recordId);
+    cancelEscalation(recordId);
+    await disableDealMessagesForRecord(recordId);
+
+    try {
+      await base(ordersTableName).update(recordId, {
+        'Partner Deal Buttons Disabled': true
+      });
+    } catch (e) {
+      console.error('Failed to set Partner Deal Buttons Disabled = true:', e);
+    }
+
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('Error in /partner-deal/disable:', err);
+    return res.status(500).json({ error: 'Internal error.' });
+  }
+});
+
+/**
+ * POST /interface-claim
+ * → Claim a deal from Airtable Interface / Automation
+ *
+ * Expected body:
+ * {
+ *   "orderRecordId": "<Airtable record id from Unfulfilled Orders Log>",
+ *   "sellerCode": "SE-00001",
+ *   "vatType": "Margin" // optional: "Margin" or "VAT Deductible"
+ * }
+ */
+app.post('/interface-claim', requireApiAuth, async (req, res) => {
+  try {
+    const { orderRecordId, sellerCode, vatType: vatTypeRaw } = req.body || {};
+
+    if (!orderRecordId || !sellerCode) {
+      return res.status(400).json({ error: 'Missing orderRecordId or sellerCode' });
+    }
+
+    const vatType = vatTypeRaw ? parseVatType(vatTypeRaw) : VAT_MARGIN;
+    if (!vatType) {
+      return res.status(400).json({ error: `Invalid vatType (expected ${VAT_TYPES.join(' or ')}).` });
+    }
+
+    // 1) Find seller record
+    const sellerRecord = await findSellerRecordByCode(sellerCode);
+    if (!sellerRecord) {
+      return res.status(400).json({ error: `No seller found for code ${sellerCode}` });
+    }
+    const sellerRecordId = sellerRecord.id;
+
+    // 2) Load the order from "Unfulfilled Orders Log"
+    let order;
+    try {
+      order = await base(ordersTableName).find(orderRecordId);
+    } catch (e) {
+      console.error('Failed to load order record:', e);
+      return res.status(404).json({ error: 'Order record not found' });
+    }
+
+    const deal = getDealFromOrderRecord(order);
+    const { productName, size } = deal;
+
+    if (!Number.isFinite(deal.startPayout)) {
+      return res.status(400).json({ error: 'Invalid or missing Target Outsource Buying Price on order record' });
+    }
+
+    const limitError = await getClaimLimitError(
+      { id: sellerRecordId, code: sellerCode, tier: sellerRecord.get(SELLER_TIER_FIELD_NAME) || null },
+      { price: getPayoutForVatType(deal, vatType) }
+    );
+    if (limitError) {
+      return res.status(403).json({ error: limitError });
+    }
+
+    // 3) Claim: Inventory Unit, seller webhook, disable buttons, Make – same as Discord claims
+    const result = await claimDeal({
+      deal,
+      seller: { id: sellerRecordId, code: sellerCode },
+      price: getPayoutForVatType(deal, vatType),
+      vatType,
+      orderRecordId
+    });
+
+    if (!result.ok) {
+      if (result.reason === 'own') {
+        return res.json({ ok: true, alreadyClaimed: true, message: `Deal already claimed by seller ${sellerCode}` });
+      }
+      console.warn(`⚠️ Order ${orderRecordId} already claimed by someone else, refusing ${sellerCode}.`);
+      return res.status(409).json({ error: 'Deal already claimed by someone else.' });
+    }
+
+    return res.json({
+      ok: true,
+      message: `Deal claimed for ${productName || ''} (${size || ''}) – seller ${sellerCode}`
+    });
+  } catch (err) {
+    console.error('Error in /interface-claim:', err);
+    return res.status(500).json({ error: 'Internal error.' });
+  }
+});
+
+/**
+ * POST /offer-accept
+ * → Accept a Partner Offer: claim the order for that seller at the offered price
+ *
+ * Expected body:
+ * {
+ *   "offerRecordId": "<Airtable record id from Partner Offers>",
+ *   "notifyLosers": true // optional, default NOTIFY_LOSING_OFFERS
+ * }
+ */
+app.post('/offer-accept', requireApiAuth, async (req, res) => {
+  try {
+    const { offerRecordId, notifyLosers } = req.body || {};
+    if (!offerRecordId) {
+      return res.status(400).json({ error: 'Missing offerRecordId.' });
+    }
+
+    const result = await acceptOffer({
+      offerRecordId,
+      notifyLosers: notifyLosers ?? notifyLosingOffers,
+      acceptedBy: req.apiCaller || 'api'
+    });
+
+    if (!result.ok) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.json({
+      ok: true,
+      inventoryUnitId: result.unit.id,
+      message: `Offer accepted – seller ${result.sellerCode} at €${result.price.toFixed(2)} (${result.vatType})`
+    });
+  } catch (err) {
+    console.error('Error in /offer-accept:', err);
+    return res.status(500).json({ error: 'Internal error.' });
+  }
+});
+
+/**
+ * POST /seller-events/shipment
+ * → Report that a claimed unit was shipped (feeds the seller reliability score)
+ *
+ * Expected body:
+ * {
+ *   "inventoryUnitId": "<Airtable record id from Inventory Units>",
+ *   "shippedAt": "2024-05-01T12:00:00Z", // optional, default now
+ *   "late": true                         // optional, default: slower than the shipping target
+ * }
+ */
+app.post('/seller-events/shipment', requireApiAuth, async (req, res) => {
+  try {
+    const { inventoryUnitId, shippedAt, late } = req.body || {};
+    if (!inventoryUnitId) {
+      return res.status(400).json({ error: 'Missing inventoryUnitId.' });
+    }
+
+    let unit;
+    try {
+      unit = await base(inventoryTableName).find(inventoryUnitId);
+    } catch (e) {
+      return res.status(404).json({ error: 'Inventory Unit not found' });
+    }
+
+    const sellerRecordId = getLinkedRecordIds(unit.get('Seller ID'))[0] || null;
+    if (!sellerRecordId) {
+      return res.status(400).json({ error: 'Inventory Unit has no seller.' });
+    }
+
+    const shippedAtMs = shippedAt ? Date.parse(shippedAt) : Date.now();
+    if (!Number.isFinite(shippedAtMs)) {
+      return res.status(400).json({ error: 'Invalid shippedAt.' });
+    }
+
+    const claimedAt        = Date.parse(unit._rawJson?.createdTime);
+    const claimToShipHours = Number.isFinite(claimedAt) ? (shippedAtMs - claimedAt) / 3600000 : null;
+
+    await recordSellerEvent(sellerRecordId, 'shipment', {
+      inventoryUnitId,
+      claimToShipHours,
+      late: late ?? (claimToShipHours != null && claimToShipHours > SHIP_TARGET_HOURS)
+    });
+
+    return res.json({ ok: true, ...computeSellerScore(sellerRecordId) });
+  } catch (err) {
+    console.error('Error in /seller-events/shipment:', err);
+    return res.status(500).json({ error: 'Internal error.' });
+  }
+});
+
+/**
+ * GET /admin/outbox/failed
+ * → Webhook deliveries that ran out of retries (dead letters)
+ */
+app.get('/admin/outbox/failed', requireApiAuth, (_req, res) => {
+  const failed = outboxStore.data.deadLetter.map(job => {
+    let target = null;
+    try {
+      // Webhook URLs carry tokens – only expose the host
+      target = new URL(job.url).host;
+    } catch (_) {
+      // ignore
+    }
+
+    return {
+      id: job.id,
+      kind: job.kind,
+      target,
+      idempotencyKey: job.idempotencyKey,
+      attempts: job.attempts,
+      lastError: job.lastError,
+      createdAt: job.createdAt,
+      failedAt: job.failedAt,
+      body: job.body
+    };
+  });
+
+  return res.json({ ok: true, pending: outboxStore.data.pending.length, failed });
+});
+
+/**
+ * POST /admin/outbox/replay
+ * → Requeue failed deliveries
+ *
+ * Expected body (omit ids to replay everything):
+ * {
+ *   "ids": ["<outbox job id>"]
+ * }
+ */
+app.post('/admin/outbox/replay', requireApiAuth, (req, res) => {
+  const { ids } = req.body || {};
+  if (ids !== undefined && !Array.isArray(ids)) {
+    return res.status(400).json({ error: 'ids must be an array.' });
+  }
+
+  const replayed = replayDeadLetters(ids || null);
+  console.log(`🔁 Replaying ${replayed.length} failed webhook(s) (requested by ${req.apiCaller || 'unauthenticated caller'})`);
+
+  return res.json({ ok: true, replayed });
+});
+
+/* ---------------- Slash Commands ---------------- */
+
+const slashCommands = [
+  new SlashCommandBuilder()
+    .setName('link-seller')
+    .setDescription('Link your Discord account to your Seller ID')
+    .addSubcommand(sub =>
+      sub
+        .setName('request')
+        .setDescription('Send a verification code to your seller webhook channel')
+        .addStringOption(opt =>
+          opt
+            .setName('seller_id')
+            .setDescription('Your Seller ID digits (e.g. 00001)')
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('verify')
+        .setDescription('Confirm the link with the code you received')
+        .addStringOption(opt =>
+          opt
+            .setName('code')
+            .setDescription('Verification code')
+            .setRequired(true)
+        )
+    ),
+  new SlashCommandBuilder()
+    .setName('mydeals')
+    .setDescription('List the deals you have claimed'),
+  new SlashCommandBuilder()
+    .setName('myoffers')
+    .setDescription('List your offers on open deals'),
+  new SlashCommandBuilder()
+    .setName('claimstatus')
+    .setDescription('Show the status of an order')
+    .addStringOption(opt =>
+      opt
+        .setName('order_id')
+        .setDescription('Order ID from the deal post')
+        .setRequired(true)
+    ),
+  new SlashCommandBuilder()
+    .setName('watch')
+    .setDescription('Get a DM when matching deals are posted')
+    .addSubcommand(sub =>
+      sub
+        .setName('add')
+        .setDescription('Watch for deals (give at least one filter)')
+        .addStringOption(opt => opt.setName('sku').setDescription('SKU').setRequired(false))
+        .addStringOption(opt => opt.setName('brand').setDescription('Brand').setRequired(false))
+        .addStringOption(opt => opt.setName('size').setDescription('Size').setRequired(false))
+        .addNumberOption(opt =>
+          opt
+            .setName('min_payout')
+            .setDescription('Minimum payout (€)')
+            .setMinValue(0)
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('list')
+        .setDescription('List your watches')
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('remove')
+        .setDescription('Stop a watch')
+        .addStringOption(opt => opt.setName('id').setDescription('Watch ID from /watch list').setRequired(true))
+    ),
+  new SlashCommandBuilder()
+    .setName('unclaim')
+    .setDescription(`Release a deal you claimed (within ${CLAIM_RELEASE_GRACE_MS / 60000} minutes)`)
+    .addStringOption(opt =>
+      opt
+        .setName('order_id')
+        .setDescription('Order ID from the deal post')
+        .setRequired(true)
+    ),
+  new SlashCommandBuilder()
+    .setName('deal')
+    .setDescription('Staff: manage a posted deal')
+    .addSubcommand(sub =>
+      sub
+        .setName('repost')
+        .setDescription('Post the deal again (old copies are disabled)')
+        .addStringOption(opt => opt.setName('order_id').setDescription('Order ID').setRequired(true))
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('disable')
+        .setDescription('Disable the deal buttons')
+        .addStringOption(opt => opt.setName('order_id').setDescription('Order ID').setRequired(true))
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('reopen')
+        .setDescription('Re-enable the deal buttons')
+        .addStringOption(opt => opt.setName('order_id').setDescription('Order ID').setRequired(true))
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('release')
+        .setDescription('Undo the claim on a deal and repost it')
+        .addStringOption(opt => opt.setName('order_id').setDescription('Order ID').setRequired(true))
+        .addBooleanOption(opt =>
+          opt
+            .setName('penalty')
+            .setDescription('Count the release against the seller (default: yes)')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName('cancel')
+        .setDescription('Mark the deal as cancelled')
+        .addStringOption(opt => opt.setName('order_id').setDescription('Order ID').setRequired(true))
+    )
+];
+
+client.once(Events.ClientReady, async c => {
+  try {
+    const body = slashCommands.map(cmd => cmd.toJSON());
+    if (DISCORD_GUILD_ID) {
+      await c.application.commands.set(body, DISCORD_GUILD_ID);
+    } else {
+      await c.application.commands.set(body);
+    }
+    console.log(`✅ Registered ${body.length} slash command(s).`);
+  } catch (e) {
+    console.error('Failed to register slash commands:', e);
+  }
+});
+
+/**
+ * /link-seller request <seller_id>
+ * /link-seller verify <code>
+ */
+async function handleLinkSellerCommand(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const userId = interaction.user.id;
+
+  if (sub === 'request') {
+    const sellerNumberRaw = interaction.options.getString('seller_id', true).trim();
+
+    if (!/^\d+$/.test(sellerNumberRaw)) {
+      await interaction.reply({
+        content: '❌ Seller Number must contain digits only (no SE-, just the digits). Please try again.',
+        ephemeral: true
+      });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const existing = await resolveLinkedSeller(userId);
+    if (existing.seller) {
+      await interaction.editReply(
+        `❌ Your Discord account is already linked to \`${existing.seller.code}\`. Contact staff to change it.`
+      );
+      return;
+    }
+
+    const sellerCode   = `SE-${sellerNumberRaw}`;
+    const sellerRecord = await findSellerRecordByCode(sellerCode);
+    if (!sellerRecord) {
+      await interaction.editReply(`❌ Could not find a seller with ID \`${sellerCode}\` in Sellers Database.`);
+      return;
+    }
+
+    const linkedUserId = sellerRecord.get(SELLER_DISCORD_USER_FIELD_NAME);
+    if (linkedUserId && linkedUserId !== userId) {
+      console.warn(`⚠️ ${interaction.user.tag} tried to link ${sellerCode}, which is linked to another Discord user.`);
+      await interaction.editReply(
+        `❌ \`${sellerCode}\` is already linked to another Discord account. Contact staff if this is wrong.`
+      );
+      return;
+    }
+
+    const webhookUrl = await getSellerWebhookUrlByRecordId(sellerRecord.id);
+    if (!webhookUrl) {
+      await interaction.editReply(
+        `❌ \`${sellerCode}\` has no Discord webhook configured, so it can't be verified. Please contact staff.`
+      );
+      return;
+    }
+
+    const code = String(crypto.randomInt(100000, 1000000));
+
+    try {
+      await sendSellerLinkCodeWebhook({
+        webhookUrl,
+        sellerCode,
+        discordTag: interaction.user.tag,
+        code
+      });
+    } catch (e) {
+      console.error('Failed to send seller link code webhook:', e);
+      await interaction.editReply('❌ Could not deliver the verification code. Please try again later.');
+      return;
+    }
+
+    pendingSellerLinks.set(userId, {
+      sellerRecordId: sellerRecord.id,
+      sellerCode,
+      code,
+      attempts: 0,
+      expiresAt: Date.now() + SELLER_LINK_CODE_TTL_MS
+    });
+
+    await interaction.editReply(
+      `📨 A verification code was sent to the Discord channel of \`${sellerCode}\`.\n` +
+      `Run \`/link-seller verify\` with that code to finish linking.`
+    );
+    return;
+  }
+
+  if (sub === 'verify') {
+    const pending = pendingSellerLinks.get(userId);
+    if (!pending || pending.expiresAt < Date.now()) {
+      pendingSellerLinks.delete(userId);
+      await interaction.reply({
+        content: '❌ No pending link request (or it expired). Run `/link-seller request` again.',
+        ephemeral: true
+      });
+      return;
+    }
+
+    const code = interaction.options.getString('code', true).trim();
+    if (code !== pending.code) {
+      pending.attempts += 1;
+      if (pending.attempts >= SELLER_LINK_MAX_ATTEMPTS) {
+        pendingSellerLinks.delete(userId);
+        console.warn(`⚠️ Too many wrong link codes from ${interaction.user.tag} for ${pending.sellerCode}.`);
+      }
+      await interaction.reply({ content: '❌ That code is not correct.', ephemeral: true });
+      return;
+    }
+
+    pendingSellerLinks.delete(userId);
+    await interaction.deferReply({ ephemeral: true });
+
+    await base(sellersTableName).update(pending.sellerRecordId, {
+      [SELLER_DISCORD_USER_FIELD_NAME]: userId
+    });
+
+    console.log(`🔗 Linked Discord user ${interaction.user.tag} (${userId}) to ${pending.sellerCode}`);
+
+    await interaction.editReply(
+      `✅ Your Discord account is now linked to \`${pending.sellerCode}\`. Claims and offers will use this seller.`
+    );
+  }
+}
+
+/* ---- Partner commands: /mydeals, /myoffers, /claimstatus, /unclaim ---- */
+
+const PARTNER_LIST_PAGE_SIZE = 5;
+
+/**
+ * Build one page of an ephemeral list reply, with Prev / Next buttons
+ * whose custom IDs are "<pagePrefix>:<page>".
+ */
+function buildPagedReply({ title, entries, page, pagePrefix, emptyText }) {
+  const pageCount = Math.max(1, Math.ceil(entries.length / PARTNER_LIST_PAGE_SIZE));
+  const current   = Math.min(Math.max(0, page), pageCount - 1);
+  const pageItems = entries.slice(
+    current * PARTNER_LIST_PAGE_SIZE,
+    (current + 1) * PARTNER_LIST_PAGE_SIZE
+  );
+
+  const embed = new EmbedBuilder()
+    .setTitle(title)
+    .setDescription(pageItems.length ? pageItems.join('\n\n') : emptyText)
+    .setColor(0xf1c40f)
+    .setFooter({ text: `Page ${current + 1}/${pageCount} • ${entries.length} total` });
+
+  const components = [];
+  if (pageCount > 1) {
+    components.push(
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`${pagePrefix}:${current - 1}`)
+          .setLabel('◀ Prev')
+          .setStyle(ButtonStyle.Secondary)
+          .setDisabled(current === 0),
+        new ButtonBuilder()
+          .setCustomId(`${pagePrefix}:${current + 1}`)
+          .setLabel('Next ▶')
+          .setStyle(ButtonStyle.Secondary)
+          .setDisabled(current >= pageCount - 1)
+      )
+    );
+  }
+
+  return { content: '', embeds: [embed], components };
+}
+
+/**
+ * Inventory Units the seller got through claims (linked to an order), newest first.
+ */
+async function buildMyDealsPage(seller, page) {
+  const records = await base(inventoryTableName)
+    .select({
+      filterByFormula: `AND(${linkedPrimaryFormula('Seller ID', seller.code)}, {Unfulfilled Orders Log})`,
+      sort: [{ field: 'Purchase Date', direction: 'desc' }]
+    })
+    .all();
+
+  const entries = records.map(rec => {
+    const price = parseNumericField(rec.get('Purchase Price'));
+    return (
+      `**${rec.get('Product Name') || '—'}** (${rec.get('Size') || '—'})\n` +
+      `SKU ${rec.get('SKU') || '—'} • Order \`${rec.get('Ticket Number') || '—'}\`\n` +
+      `${Number.isFinite(price) ? `€${price.toFixed(2)}` : '—'} • ` +
+      `${rec.get('Availability Status') || '—'} • ${rec.get('Purchase Date') || '—'}`
+    );
+  });
+
+  return buildPagedReply({
+    title: `📦 Deals claimed by ${seller.code}`,
+    entries,
+    page,
+    pagePrefix: 'mydeals_page',
+    emptyText: 'You have not claimed any deals yet.'
+  });
+}
+
+/**
+ * The seller's offers on deals that are still open, with whether each is still the lowest.
+ */
+async function buildMyOffersPage(seller, page) {
+  await ensureOfferIndex();
+
+  // Seller's best offer per order, plus the overall lowest on that order
+  const mine = [];
+  for (const [orderRecordId, offers] of offerIndex) {
+    const all  = [...offers.values()];
+    const own  = all.filter(offer => offer.sellerRecordId === seller.id);
+    if (own.length === 0) continue;
+
+    mine.push({
+      orderRecordId,
+      best: own.reduce((a, b) => (b.net < a.net ? b : a)),
+      lowest: Math.min(...all.map(offer => offer.net))
+    });
+  }
+
+  const orders = new Map(
+    (await findOrderRecordsByIds(mine.map(m => m.orderRecordId))).map(rec => [rec.id, rec])
+  );
+
+  const entries = mine
+    .filter(m => orders.has(m.orderRecordId) && !orders.get(m.orderRecordId).get('Partner Deal Buttons Disabled'))
+    .map(m => {
+      const order  = orders.get(m.orderRecordId);
+      const status = m.best.net <= m.lowest + 1e-9
+        ? '✅ Lowest offer'
+        : `❌ Undercut – lowest is ${formatNetPrice(m.lowest)}`;
+
+      return (
+        `**${order.get('Product Name') || '—'}** (${order.get('Size') || '—'}) • ` +
+        `Order \`${order.get('Order ID') || order.id}\`\n` +
+        `Your offer: €${m.best.price.toFixed(2)} (${m.best.vatType}) • ${status}`
+      );
+    });
+
+  return buildPagedReply({
+    title: `💬 Open offers by ${seller.code}`,
+    entries,
+    page,
+    pagePrefix: 'myoffers_page',
+    emptyText: 'You have no offers on open deals.'
+  });
+}
+
+/**
+ * /claimstatus <order_id> – what a partner may know about one order.
+ */
+async function handleClaimStatusCommand(interaction, seller) {
+  const orderId = interaction.options.getString('order_id', true).trim();
+  const order   = await findOrderRecordByOrderId(orderId);
+
+  if (!order) {
+    await interaction.editReply(`❌ No order found with Order ID \`${orderId}\`.`);
+    return;
+  }
+
+  const unit       = await findInventoryUnitForOrder(order.id);
+  const unitSeller = unit ? getLinkedRecordIds(unit.get('Seller ID'))[0] : null;
+
+  let claimText = 'Not claimed';
+  if (unit && unitSeller === seller.id) {
+    const price = parseNumericField(unit.get('Purchase Price'));
+    claimText =
+      `✅ Claimed by you` +
+      `${Number.isFinite(price) ? ` at €${price.toFixed(2)}` : ''}` +
+      ` • ${unit.get('Availability Status') || '—'}`;
+  } else if (unit) {
+    claimText = 'Claimed by another partner';
   }
 
-  // For each deal channel & each message ID, try to fetch and disable buttons
-  for (const channelId of dealsChannelIds) {
-    const channel = await client.channels.fetch(channelId).catch(() => null);
-    if (!channel || !channel.isTextBased()) continue;
+  const offers    = await getPartnerOffersForOrder(order.id);
+  const lowest    = offers.length ? Math.min(...offers.map(offer => offer.net)) : null;
+  const ownOffers = offers.filter(offer => offer.sellerRecordId === seller.id);
+  const ownBest   = ownOffers.length ? ownOffers.reduce((a, b) => (b.net < a.net ? b : a)) : null;
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🔎 Order ${order.get('Order ID') || orderId}`)
+    .setDescription(`**${order.get('Product Name') || '—'}** (${order.get('Size') || '—'})`)
+    .setColor(0xf1c40f)
+    .addFields(
+      {
+        name: 'Deal',
+        value: order.get('Partner Deal Buttons Disabled') ? '🔴 Closed' : '🟢 Open',
+        inline: true
+      },
+      { name: 'Claim', value: claimText, inline: true },
+      {
+        name: 'Offers',
+        value: lowest != null
+          ? `${offers.length} offer(s), lowest ${formatNetPrice(lowest)}`
+          : 'No offers yet',
+        inline: false
+      },
+      {
+        name: 'Your offer',
+        value: ownBest != null
+          ? `€${ownBest.price.toFixed(2)} (${ownBest.vatType})${ownBest.net <= lowest + 1e-9 ? ' ✅ lowest' : ''}`
+          : '—',
+        inline: false
+      }
+    );
+
+  await interaction.editReply({ content: '', embeds: [embed] });
+}
 
-    for (const msgId of messageIds) {
-      const msg = await channel.messages.fetch(msgId).catch(() => null);
-      if (!msg) continue;
+/**
+ * /unclaim <order_id> – a seller backs out of their own claim within the grace window.
+ */
+async function handleUnclaimCommand(interaction, seller) {
+  const orderId = interaction.options.getString('order_id', true).trim();
+  const order   = await findOrderRecordByOrderId(orderId);
+  const unit    = order ? await findInventoryUnitForOrder(order.id) : null;
 
-      const disabledComponents = msg.components.map(row =>
-        new ActionRowBuilder().addComponents(
-          ...row.components.map(btn =>
-            ButtonBuilder.from(btn).setDisabled(true)
-          )
-        )
-      );
+  if (!unit || getLinkedRecordIds(unit.get('Seller ID'))[0] !== seller.id) {
+    await interaction.editReply(`❌ You have no active claim on Order ID \`${orderId}\`.`);
+    return;
+  }
 
-      await msg.edit({ components: disabledComponents });
-    }
+  if (!isWithinReleaseGrace(unit)) {
+    await interaction.editReply(
+      `❌ Claims can only be released within ${CLAIM_RELEASE_GRACE_MS / 60000} minutes. Please contact staff.`
+    );
+    return;
   }
+
+  await releaseClaim({ order, unit, releasedBy: 'seller', penalty: false });
+
+  await interaction.editReply(`✅ Your claim on \`${orderId}\` was released.`);
 }
 
-/* ---------------- Express HTTP API ---------------- */
+/* ---- Watchlists: /watch ---- */
 
-const app = express();
-app.use(morgan('combined'));
-app.use(express.json({ limit: '1mb' }));
+const WATCH_MAX_PER_USER        = 20;
+// At most this many alert DMs per partner per hour; further matches are skipped
+const WATCH_ALERTS_PER_HOUR     = 5;
+const WATCH_ALERT_WINDOW_MS     = 60 * 60 * 1000;
 
-app.get('/', (_req, res) =>
-  res.type('text/plain').send('Partner Deal Bot OK')
-);
+// watches:  [{ id, userId, sku, brand, size, minPayout, createdAt }]
+// alertLog: userId → [sent at (ms)] within the last hour
+const watchStore = createJsonStore('watchlists.json', { watches: [], alertLog: {} });
 
-app.get('/health', (_req, res) =>
-  res.json({ ok: true, ts: new Date().toISOString() })
-);
+function describeWatch(watch) {
+  return [
+    watch.sku && `SKU ${watch.sku}`,
+    watch.brand && `brand ${watch.brand}`,
+    watch.size && `size ${watch.size}`,
+    watch.minPayout != null && `payout ≥ €${watch.minPayout.toFixed(2)}`
+  ].filter(Boolean).join(', ');
+}
+
+function watchMatchesDeal(watch, deal) {
+  const same = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+  const sizes = deal.units ? getRemainingUnits(deal).map(unit => unit.size) : [deal.size];
+
+  return (
+    (!watch.sku || same(watch.sku, deal.sku)) &&
+    (!watch.brand || same(watch.brand, deal.brand)) &&
+    (!watch.size || sizes.some(size => same(watch.size, size))) &&
+    (watch.minPayout == null || getPayoutForVatType(deal, VAT_MARGIN) >= watch.minPayout)
+  );
+}
 
 /**
- * POST /partner-deal
- * → Full Claim + Offer buttons
+ * Buttons for an alert DM. They carry the deal message ID, so clicks are
+ * handled exactly like clicks on the deal post itself.
  */
-app.post('/partner-deal', async (req, res) => {
-  try {
-    const {
-      productName,
-      sku,
-      size,
-      brand,
-      startPayout,
-      imageUrl,
-      dealId,
-      recordId
-    } = req.body || {};
+function buildWatchAlertRow(deal, messageId, url) {
+  const row = new ActionRowBuilder();
+
+  if (!deal.offerOnly) {
+    row.addComponents(
+      new ButtonBuilder()
+        .setCustomId(`partner_claim:${messageId}`)
+        .setLabel('Claim (Margin)')
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId(`partner_claim_vat:${messageId}`)
+        .setLabel('Claim (VAT)')
+        .setStyle(ButtonStyle.Success)
+    );
+  }
 
-    if (!productName || !sku || !size || !brand || !startPayout) {
-      return res.status(400).json({ error: 'Missing required fields in payload.' });
+  if (!deal.units) {
+    row.addComponents(
+      new ButtonBuilder()
+        .setCustomId(`partner_offer:${messageId}`)
+        .setLabel('Offer')
+        .setStyle(ButtonStyle.Secondary)
+    );
+  }
+
+  if (url) {
+    row.addComponents(new ButtonBuilder().setLabel('Open deal').setStyle(ButtonStyle.Link).setURL(url));
+  }
+
+  return row;
+}
+
+/**
+ * DM every partner watching for this deal (one DM per partner, throttled).
+ * posted: [{ channelId, messageId }] – the alert links to the first copy.
+ */
+async function notifyWatchers(deal, posted) {
+  const [ref] = posted;
+  if (!ref) return;
+
+  const userIds = [...new Set(
+    watchStore.data.watches.filter(watch => watchMatchesDeal(watch, deal)).map(watch => watch.userId)
+  )];
+  if (userIds.length === 0) return;
+
+  const guildId = client.channels.cache.get(ref.channelId)?.guildId;
+  const url     = guildId ? `https://discord.com/channels/${guildId}/${ref.channelId}/${ref.messageId}` : null;
+  const now     = Date.now();
+  let sent      = 0;
+
+  for (const userId of userIds) {
+    const recent = (watchStore.data.alertLog[userId] || []).filter(at => at > now - WATCH_ALERT_WINDOW_MS);
+    if (recent.length >= WATCH_ALERTS_PER_HOUR) {
+      watchStore.data.alertLog[userId] = recent;
+      continue;
     }
 
-    const descriptionLines = [
-      `**Product Name:** ${productName}`,
-      `**SKU:** ${sku}`,
-      `**Size:** ${size}`,
-      `**Brand:** ${brand}`,
-      `**Payout:** €${Number(startPayout).toFixed(2)}`,
-      dealId ? `**Order ID:** ${dealId}` : null
-    ].filter(Boolean);
+    try {
+      const user = await client.users.fetch(userId);
+      const dm   = await user.createDM();
 
-    const embed = new EmbedBuilder()
-      .setTitle('🧨 NEW DEAL 🧨')
-      .setDescription(descriptionLines.join('\n'))
-      .setColor(0xf1c40f);
+      await queueChannelSend(dm, {
+        content: `🔔 A deal matching your watchlist was just posted${url ? `: ${url}` : '.'}`,
+        embeds: [buildDealEmbed(deal)],
+        components: [buildWatchAlertRow(deal, ref.messageId, url)]
+      }, 'dms');
 
-    if (imageUrl) {
-      embed.setImage(imageUrl);
+      recent.push(now);
+      sent++;
+    } catch (e) {
+      // Usually DMs closed – not worth more than a warning
+      console.warn(`⚠️ Could not DM watch alert to ${userId}: ${e.message}`);
     }
 
-    const messageIds = [];
+    watchStore.data.alertLog[userId] = recent;
+  }
 
-    for (const channelId of dealsChannelIds) {
-      const channel = await client.channels.fetch(channelId).catch(() => null);
-      if (!channel || !channel.isTextBased()) {
-        console.warn(`⚠️ Deals channel ${channelId} not found or not text-based.`);
-        continue;
-      }
+  await watchStore.save();
 
-      const msg = await channel.send({
-        embeds: [embed],
-        components: [buildButtonsRow(false)]
-      });
+  if (sent > 0) {
+    console.log(`🔔 Sent ${sent} watch alert(s) for ${deal.dealId || deal.sku}`);
+  }
+}
+
+/**
+ * /watch add|list|remove
+ */
+async function handleWatchCommand(interaction) {
+  const sub     = interaction.options.getSubcommand();
+  const userId  = interaction.user.id;
+  const mine    = watchStore.data.watches.filter(watch => watch.userId === userId);
+
+  if (sub === 'list') {
+    await interaction.editReply(
+      mine.length
+        ? `👀 Your watches:\n${mine.map(watch => `\`${watch.id}\` – ${describeWatch(watch)}`).join('\n')}`
+        : 'You are not watching anything yet. Use `/watch add`.'
+    );
+    return;
+  }
+
+  if (sub === 'remove') {
+    const id    = interaction.options.getString('id', true).trim();
+    const watch = mine.find(w => w.id === id);
 
-      messageIds.push(msg.id);
+    if (!watch) {
+      await interaction.editReply(`❌ You have no watch with ID \`${id}\`. See \`/watch list\`.`);
+      return;
     }
 
+    watchStore.data.watches = watchStore.data.watches.filter(w => w !== watch);
+    await watchStore.save();
+
+    await interaction.editReply(`✅ Stopped watching ${describeWatch(watch)}.`);
+    return;
+  }
+
+  // add
+  const watch = {
+    id: crypto.randomBytes(3).toString('hex'),
+    userId,
+    sku: interaction.options.getString('sku')?.trim() || null,
+    brand: interaction.options.getString('brand')?.trim() || null,
+    size: interaction.options.getString('size')?.trim() || null,
+    minPayout: interaction.options.getNumber('min_payout'),
+    createdAt: new Date().toISOString()
+  };
+
+  if (!watch.sku && !watch.brand && !watch.size && watch.minPayout == null) {
+    await interaction.editReply('❌ Give at least one of sku, brand, size or min_payout.');
+    return;
+  }
+
+  if (mine.length >= WATCH_MAX_PER_USER) {
+    await interaction.editReply(`❌ You can have at most ${WATCH_MAX_PER_USER} watches. Remove one first.`);
+    return;
+  }
+
+  watchStore.data.watches.push(watch);
+  await watchStore.save();
+
+  await interaction.editReply(
+    `✅ Watching ${describeWatch(watch)} (ID \`${watch.id}\`). ` +
+    `You'll get a DM when a matching deal is posted (at most ${WATCH_ALERTS_PER_HOUR} per hour).`
+  );
+}
+
+/* ---- Admin commands: /deal ---- */
+
+/**
+ * Whether the member behind an interaction holds one of the admin roles.
+ */
+function isAdminInteraction(interaction) {
+  if (adminRoleIds.length === 0) return false;
+
+  // Cached GuildMember (roles.cache) or raw API member (roles: string[])
+  const roles   = interaction.member?.roles;
+  const roleIds = Array.isArray(roles) ? roles : [...(roles?.cache?.keys() || [])];
+
+  return roleIds.some(id => adminRoleIds.includes(id));
+}
+
+/**
+ * /deal repost|disable|reopen|release|cancel <order_id>
+ */
+async function handleDealAdminCommand(interaction) {
+  if (!isAdminInteraction(interaction)) {
+    await interaction.reply({ content: '❌ You are not allowed to manage deals.', ephemeral: true });
+    return;
+  }
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const sub     = interaction.options.getSubcommand();
+  const orderId = interaction.options.getString('order_id', true).trim();
+  const order   = await findOrderRecordByOrderId(orderId);
+
+  if (!order) {
+    await interaction.editReply(`❌ No order found with Order ID \`${orderId}\`.`);
+    return;
+  }
+
+  const orderRecordId = order.id;
+  console.log(`🛠️ ${interaction.user.tag} ran /deal ${sub} for ${orderId} (${orderRecordId})`);
+
+  // Units of a multi-unit post share its messages: only that unit is changed
+  const group = findDealGroupForRecord(orderRecordId);
+
+  if (sub === 'repost') {
+    const messageIds = await repostDeal(order);
+    if (!messageIds) {
+      await interaction.editReply('❌ This order has no valid payout to post.');
+      return;
+    }
     if (messageIds.length === 0) {
-      return res.status(500).json({ error: 'No valid deal channels available.' });
+      await interaction.editReply('❌ No valid deal channels available.');
+      return;
     }
 
-    if (recordId) {
-      try {
-        await base(ordersTableName).update(recordId, {
-          'Partner Deal Message ID': messageIds.join(','),
-          'Partner Deal Buttons Disabled': false
-        });
-      } catch (e) {
-        console.error('Failed to update order record with message IDs / reset flag:', e);
-      }
+    await interaction.editReply(`✅ Deal \`${orderId}\` reposted (${messageIds.length} message(s)).`);
+    return;
+  }
+
+  if (sub === 'disable' && group) {
+    await setDealUnitState(group.groupId, orderRecordId, { closed: true });
+    await interaction.editReply(`✅ Unit \`${orderId}\` (size ${group.unit.size}) taken off its deal post.`);
+    return;
+  }
+
+  if (sub === 'disable') {
+    stopAuction(orderRecordId);
+    cancelDealExpiry(orderRecordId);
+    cancelEscalation(orderRecordId);
+    await disableDealMessagesForRecord(orderRecordId);
+    await base(ordersTableName).update(orderRecordId, {
+      'Partner Deal Buttons Disabled': true
+    });
+
+    await interaction.editReply(`✅ Deal \`${orderId}\` disabled.`);
+    return;
+  }
+
+  if (sub === 'reopen' && group) {
+    await setDealUnitState(group.groupId, orderRecordId, { claimed: false, closed: false });
+    await interaction.editReply(`✅ Unit \`${orderId}\` (size ${group.unit.size}) reopened on its deal post.`);
+    return;
+  }
+
+  if (sub === 'reopen') {
+    // A reopened deal no longer expires (claims and offers check the stored copies)
+    cancelDealExpiry(orderRecordId);
+    for (const stored of Object.values(dealStore.data.deals)) {
+      if (stored.recordId === orderRecordId) stored.expiresAt = null;
     }
+    await dealStore.save();
+
+    // Restore the live deal embed: cancelled / expired / ended posts were restyled
+    const deal  = findLatestDealForRecord(orderRecordId) || getDealFromOrderRecord(order);
+    const embed = buildDealEmbed({ ...deal, auctionEndsAt: null }).data;
+    const { lowest, count } = await getPartnerOfferStats(orderRecordId);
+
+    await updateDealMessagesForRecord(orderRecordId, {
+      title: embed.title,
+      description: embed.description,
+      color: embed.color,
+      fields: count > 0 ? buildDealStatusFields({ lowest, count }) : [],
+      disabled: false
+    });
+    await base(ordersTableName).update(orderRecordId, {
+      'Partner Deal Buttons Disabled': false,
+      // A finished auction must not be resumed (and awarded) on the next restart
+      'Partner Auction Ends At': null,
+      // …nor an old expiry expire the reopened deal again
+      'Partner Deal Expires At': null
+    });
+    releaseClaimLock(orderRecordId);
 
-    return res.json({ ok: true, messageIds });
-  } catch (err) {
-    console.error('Error in /partner-deal:', err);
-    return res.status(500).json({ error: 'Internal error.' });
+    await interaction.editReply(`✅ Deal \`${orderId}\` reopened.`);
+    return;
   }
-});
+
+  if (sub === 'release') {
+    const unit = await findInventoryUnitForOrder(orderRecordId);
+    if (!unit) {
+      await interaction.editReply(`❌ Deal \`${orderId}\` has no active claim.`);
+      return;
+    }
+
+    const penalty    = interaction.options.getBoolean('penalty') ?? true;
+    const messageIds = await releaseClaim({ order, unit, releasedBy: 'admin', penalty });
+
+    await interaction.editReply(
+      `✅ Claim on \`${orderId}\` released${penalty ? ' (counted against the seller)' : ''}. ` +
+      (messageIds.length ? `Deal reposted (${messageIds.length} message(s)).` : '⚠️ The deal could not be reposted.')
+    );
+    return;
+  }
+
+  if (sub === 'cancel' && group) {
+    await setDealUnitState(group.groupId, orderRecordId, { closed: true });
+    await interaction.editReply(`✅ Unit \`${orderId}\` (size ${group.unit.size}) cancelled and taken off its deal post.`);
+    return;
+  }
+
+  if (sub === 'cancel') {
+    stopAuction(orderRecordId);
+    cancelDealExpiry(orderRecordId);
+    cancelEscalation(orderRecordId);
+    await updateDealMessagesForRecord(orderRecordId, {
+      title: '❌ DEAL CANCELLED ❌',
+      color: 0x95a5a6,
+      fields: [{ name: 'Status', value: 'This deal was cancelled.' }],
+      disabled: true
+    });
+    await base(ordersTableName).update(orderRecordId, {
+      'Partner Deal Buttons Disabled': true
+    });
+
+    await interaction.editReply(`✅ Deal \`${orderId}\` cancelled.`);
+  }
+}
+
+/* ---- Claim confirmation ---- */
+
+// How long a partner has to confirm a claim before it is dropped
+const CLAIM_CONFIRM_TTL_MS = 60 * 1000;
+
+// token → { interaction, userId, dealMessage, deal, seller, vatType, price, size, quantity, expiresAt, timer }
+// (size / quantity only for multi-unit deals)
+// Nothing is written anywhere until the claim is confirmed.
+const pendingClaims = new Map();
 
 /**
- * POST /partner-offer-deal
- * → Offer-only button (no Claim)
+ * Hold a claim until the partner confirms it, and show the ephemeral summary.
+ * `interaction` must already be deferred; it is edited again on time-out.
  */
-app.post('/partner-offer-deal', async (req, res) => {
-  try {
-    const {
-      productName,
-      sku,
-      size,
-      brand,
-      startPayout,
-      imageUrl,
-      dealId,
-      recordId
-    } = req.body || {};
+async function requestClaimConfirmation(interaction, pending) {
+  const token     = crypto.randomBytes(8).toString('hex');
+  const expiresAt = Date.now() + CLAIM_CONFIRM_TTL_MS;
+  const { deal, seller, vatType, price, quantity = 1 } = pending;
+
+  pendingClaims.set(token, {
+    ...pending,
+    interaction,
+    userId: interaction.user.id,
+    expiresAt,
+    timer: setTimeout(() => {
+      pendingClaims.delete(token);
+      interaction
+        .editReply({ content: '⌛ Claim not confirmed in time – nothing was claimed.', embeds: [], components: [] })
+        .catch(() => {});
+    }, CLAIM_CONFIRM_TTL_MS)
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle('Confirm your claim')
+    .setColor(0xf1c40f)
+    .addFields(
+      { name: 'Product', value: `${deal.productName}`, inline: false },
+      { name: 'Size', value: `${pending.size ?? deal.size}`, inline: true },
+      {
+        name: 'Payout',
+        value: quantity > 1
+          ? `${quantity} × €${price.toFixed(2)} = €${(quantity * price).toFixed(2)} (${vatType})`
+          : `€${price.toFixed(2)} (${vatType})`,
+        inline: true
+      },
+      { name: 'Seller', value: `${seller.name || '—'} (\`${seller.code}\`)`, inline: false }
+    )
+    .setFooter({ text: `Confirm within ${CLAIM_CONFIRM_TTL_MS / 1000} seconds.` });
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`claim_confirm:${token}`)
+      .setLabel('Confirm')
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(`claim_cancel:${token}`)
+      .setLabel('Cancel')
+      .setStyle(ButtonStyle.Danger)
+  );
+
+  await interaction.editReply({ embeds: [embed], components: [row] });
+}
+
+/**
+ * Confirm / Cancel on the claim summary. Only Confirm runs the claim.
+ */
+async function handleClaimConfirmationButton(interaction, action, token) {
+  const pending = pendingClaims.get(token);
+
+  if (!pending || pending.userId !== interaction.user.id) {
+    await interaction.update({
+      content: '⌛ This claim request has expired. Click Claim on the deal again.',
+      embeds: [],
+      components: []
+    });
+    return;
+  }
+
+  clearTimeout(pending.timer);
+  pendingClaims.delete(token);
+
+  if (action === 'claim_cancel') {
+    await interaction.update({ content: 'Claim cancelled – nothing was claimed.', embeds: [], components: [] });
+    return;
+  }
+
+  await interaction.update({ content: '⏳ Claiming…', embeds: [], components: [] });
+
+  const { deal, seller, vatType, price, dealMessage } = pending;
+  const orderRecordId = deal.recordId || null;
+
+  if (isDealExpired(deal)) {
+    await interaction.editReply('❌ This deal has expired.');
+    return;
+  }
+
+  // Staff may have disabled or cancelled the deal, or its auction closed, since the summary
+  const currentMessage = await dealMessage.fetch(true).catch(() => null);
+  const order = orderRecordId ? await base(ordersTableName).find(orderRecordId).catch(() => null) : null;
+  if (
+    !currentMessage ||
+    isDealMessageClosed(currentMessage) ||
+    (orderRecordId && (!order || order.get('Partner Deal Buttons Disabled')))
+  ) {
+    await interaction.editReply('❌ This deal is no longer available.');
+    return;
+  }
+
+  // Checked again here: time (and other claims) may have passed since the summary
+  const current    = dealStore.data.deals[dealMessage.id] || deal;
+  const scoreError = getClaimScoreError(seller, getPayoutForVatType(current, VAT_MARGIN));
+  if (scoreError) {
+    await interaction.editReply(scoreError);
+    return;
+  }
+
+  const limitError = await getClaimLimitError(seller, { price, quantity: pending.quantity });
+  if (limitError) {
+    await interaction.editReply(`❌ ${limitError}`);
+    return;
+  }
+
+  if (deal.units) {
+    // Read the units fresh: others may have claimed some since the summary was shown
+    const claimed = await claimDealUnits({ ...pending, deal: current });
+
+    await interaction.editReply(
+      claimed.length === 0
+        ? `❌ Sorry, size **${pending.size}** was claimed by someone else in the meantime.`
+        : `✅ Claimed **${claimed.length} × ${deal.productName} (${pending.size})** at €${price.toFixed(2)} (${vatType}) each` +
+          `${claimed.length < pending.quantity ? ` – only ${claimed.length} of ${pending.quantity} were still available` : ''}.\n` +
+          `Seller: \`${seller.code}\``
+    );
+    return;
+  }
+
+  const result = await claimDeal({
+    deal: { ...deal, dealId: deal.dealId || dealMessage.id },
+    seller,
+    price,
+    vatType,
+    orderRecordId,
+    lockKey: orderRecordId || `msg:${dealMessage.id}`
+  });
+
+  if (!result.ok) {
+    await interaction.editReply(
+      result.reason === 'own'
+        ? '✅ You already claimed this deal.'
+        : '❌ Sorry, this deal was already claimed by someone else.'
+    );
+    return;
+  }
+
+  if (!orderRecordId) {
+    // Fallback: disable only this message
+    try {
+      await dealMessage.edit({ components: buildComponentsWithDisabled(dealMessage, true) });
+    } catch (e) {
+      console.error('Failed to disable buttons after claim (no orderRecordId):', e);
+    }
+  }
+
+  await interaction.editReply(
+    `✅ Deal claimed for **${deal.productName} (${deal.size})** at €${price.toFixed(2)} (${vatType}).\n` +
+    `Seller: \`${seller.code}\``
+  );
+}
+
+/* ---- Multi-unit deals ---- */
+
+/**
+ * Read the optional units list from a deal payload:
+ * [{ recordId, size?, dealId? }] – one entry per Unfulfilled Orders Log record.
+ * Returns { units } (null when not set) or { error }.
+ */
+function parseDealUnits(raw, { size, recordId }) {
+  if (raw == null) return { units: null };
+
+  if (!Array.isArray(raw) || raw.length === 0) {
+    return { error: 'units must be a non-empty list.' };
+  }
+  if (recordId) {
+    return { error: 'Pass either recordId or units, not both.' };
+  }
+
+  const units = raw.map(unit => ({
+    recordId: unit?.recordId,
+    size: String(unit?.size ?? size ?? ''),
+    dealId: unit?.dealId || null,
+    claimed: false
+  }));
+
+  if (units.some(unit => !unit.recordId || !unit.size)) {
+    return { error: 'Every unit needs a recordId and a size.' };
+  }
+  if (new Set(units.map(unit => unit.recordId)).size !== units.length) {
+    return { error: 'Each unit needs its own recordId.' };
+  }
+
+  return { units };
+}
+
+// Quantity picker options are capped by Discord's select menu limit
+const MAX_SELECT_OPTIONS = 25;
+
+/**
+ * Whether a unit can still be claimed: not claimed, nor disabled / cancelled by staff.
+ */
+function isUnitOpen(unit) {
+  return !unit.claimed && !unit.closed;
+}
+
+/**
+ * Units of a multi-unit deal that can still be claimed, optionally for one size.
+ */
+function getRemainingUnits(deal, size = null) {
+  return (deal.units || []).filter(unit => isUnitOpen(unit) && (size == null || unit.size === size));
+}
+
+/**
+ * Remaining count per size, in the order the sizes were posted: Map(size → count).
+ */
+function countRemainingBySize(deal) {
+  const counts = new Map();
+  for (const unit of deal.units || []) {
+    if (!counts.has(unit.size)) counts.set(unit.size, 0);
+    if (isUnitOpen(unit)) counts.set(unit.size, counts.get(unit.size) + 1);
+  }
+  return counts;
+}
+
+/**
+ * All stored copies ({ messageId, deal }) of a multi-unit deal post.
+ */
+function getDealGroupCopies(groupId) {
+  return Object.entries(dealStore.data.deals)
+    .filter(([, deal]) => deal.groupId === groupId)
+    .map(([messageId, deal]) => ({ messageId, deal }));
+}
+
+/**
+ * The multi-unit post an order record is a unit of: { groupId, unit } from its
+ * latest stored copy, or null for ordinary (single-unit) orders.
+ */
+function findDealGroupForRecord(orderRecordId) {
+  let latest = null;
+
+  for (const deal of Object.values(dealStore.data.deals)) {
+    const unit = deal.groupId && deal.units?.find(u => u.recordId === orderRecordId);
+    if (unit && (!latest || deal.postedAt > latest.deal.postedAt)) latest = { deal, unit };
+  }
+
+  return latest ? { groupId: latest.deal.groupId, unit: latest.unit } : null;
+}
 
-    if (!productName || !sku || !size || !brand || !startPayout) {
-      return res.status(400).json({ error: 'Missing required fields in payload.' });
+/**
+ * Update units ({ claimed?, closed? }) on every stored copy of the post.
+ */
+async function updateDealUnits(groupId, recordIds, changes) {
+  for (const { deal } of getDealGroupCopies(groupId)) {
+    for (const unit of deal.units) {
+      if (recordIds.includes(unit.recordId)) Object.assign(unit, changes);
     }
+  }
+  await dealStore.save();
+}
 
-    const descriptionLines = [
-      `**Product Name:** ${productName}`,
-      `**SKU:** ${sku}`,
-      `**Size:** ${size}`,
-      `**Brand:** ${brand}`,
-      `**Payout:** €${Number(startPayout).toFixed(2)}`,
-      dealId ? `**Order ID:** ${dealId}` : null
-    ].filter(Boolean);
+/**
+ * Close or reopen one unit of a multi-unit post, leaving the other units (and
+ * the shared post) alone: updates the unit, its order's
+ * "Partner Deal Buttons Disabled" flag and the remaining counts on the post.
+ * Returns the message IDs of the post's copies.
+ */
+async function setDealUnitState(groupId, orderRecordId, changes) {
+  await updateDealUnits(groupId, [orderRecordId], changes);
 
-    const embed = new EmbedBuilder()
-      .setTitle('🧨 NEW DEAL (OFFER ONLY) 🧨')
-      .setDescription(descriptionLines.join('\n'))
-      .setColor(0xf1c40f);
+  const { unit } = findDealGroupForRecord(orderRecordId);
+  const open     = isUnitOpen(unit);
 
-    if (imageUrl) {
-      embed.setImage(imageUrl);
-    }
+  await base(ordersTableName).update(orderRecordId, { 'Partner Deal Buttons Disabled': !open });
+  if (open) releaseClaimLock(orderRecordId);
 
-    const messageIds = [];
+  await refreshMultiUnitDealMessages(groupId);
+  return getDealGroupCopies(groupId).map(copy => copy.messageId);
+}
 
-    for (const channelId of dealsChannelIds) {
-      const channel = await client.channels.fetch(channelId).catch(() => null);
-      if (!channel || !channel.isTextBased()) {
-        console.warn(`⚠️ Deals channel ${channelId} not found or not text-based.`);
-        continue;
-      }
+/**
+ * Re-render the remaining counts on every copy; once nothing is left the buttons are disabled.
+ */
+async function refreshMultiUnitDealMessages(groupId) {
+  for (const { messageId, deal } of getDealGroupCopies(groupId)) {
+    try {
+      const channel = await client.channels.fetch(deal.channelId);
+      const msg     = await channel.messages.fetch(messageId);
+      const embed   = EmbedBuilder.from(msg.embeds[0]).setDescription(buildDealDescription(deal));
 
-      const msg = await channel.send({
+      await msg.edit({
         embeds: [embed],
-        components: [buildOfferOnlyRow(false)]
+        components: buildComponentsWithDisabled(msg, getRemainingUnits(deal).length === 0)
       });
-
-      messageIds.push(msg.id);
+    } catch (e) {
+      console.error(`Failed to update multi-unit deal message ${messageId}:`, e);
     }
+  }
+}
 
-    if (messageIds.length === 0) {
-      return res.status(500).json({ error: 'No valid deal channels available.' });
-    }
+/**
+ * Ephemeral size picker for a multi-unit deal. vatType travels in the custom ID.
+ */
+function buildSizeSelectReply(deal, messageId, vatType) {
+  const options = [...countRemainingBySize(deal)]
+    .filter(([, count]) => count > 0)
+    .slice(0, MAX_SELECT_OPTIONS)
+    .map(([size, count]) => ({ label: String(size), description: `${count} left`, value: String(size) }));
+
+  if (options.length === 0) {
+    return { content: '❌ All units of this deal have been claimed.', components: [] };
+  }
 
-    if (recordId) {
-      try {
-        await base(ordersTableName).update(recordId, {
-          'Partner Deal Message ID': messageIds.join(','),
-          'Partner Deal Buttons Disabled': false
-        });
-      } catch (e) {
-        console.error('Failed to update order record with message IDs / reset flag (offer-only):', e);
-      }
-    }
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`multi_size:${messageId}:${vatType === VAT_DEDUCTIBLE ? 'vat' : 'margin'}`)
+    .setPlaceholder('Pick a size')
+    .addOptions(options);
 
-    return res.json({ ok: true, messageIds });
-  } catch (err) {
-    console.error('Error in /partner-offer-deal:', err);
-    return res.status(500).json({ error: 'Internal error.' });
-  }
-});
+  return { content: 'Which size do you want to claim?', components: [new ActionRowBuilder().addComponents(menu)] };
+}
+
+function buildQuantitySelectReply(messageId, vatKey, size, remaining) {
+  const options = Array.from({ length: Math.min(remaining, MAX_SELECT_OPTIONS) }, (_, i) => ({
+    label: String(i + 1),
+    value: String(i + 1)
+  }));
+
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`multi_qty:${messageId}:${vatKey}:${size}`)
+    .setPlaceholder('How many?')
+    .addOptions(options);
+
+  return {
+    content: `Size **${size}** – ${remaining} left. How many do you want to claim?`,
+    components: [new ActionRowBuilder().addComponents(menu)]
+  };
+}
 
 /**
- * POST /partner-deal/disable
+ * Claim up to `quantity` units of one size for a seller, one Inventory Unit per
+ * unit (each through the shared claim service, so first-claim-wins still holds
+ * per order). Returns the units that were claimed.
  */
-app.post('/partner-deal/disable', async (req, res) => {
-  try {
-    const { recordId } = req.body || {};
-    if (!recordId) {
-      return res.status(400).json({ error: 'Missing recordId.' });
-    }
-
-    await disableDealMessagesForRecord(recordId);
+async function claimDealUnits({ deal, seller, vatType, price, size, quantity }) {
+  const claimed = [];
+
+  for (const unit of getRemainingUnits(deal, size)) {
+    if (claimed.length >= quantity) break;
+
+    const result = await claimDeal({
+      deal: { ...deal, size: unit.size, dealId: unit.dealId || deal.dealId },
+      seller,
+      price,
+      vatType,
+      orderRecordId: unit.recordId,
+      // Other units of the post stay claimable
+      disableMessages: false
+    });
+    if (!result.ok) continue;
 
-    try {
-      await base(ordersTableName).update(recordId, {
-        'Partner Deal Buttons Disabled': true
-      });
-    } catch (e) {
-      console.error('Failed to set Partner Deal Buttons Disabled = true:', e);
-    }
+    claimed.push(unit);
+    await base(ordersTableName)
+      .update(unit.recordId, { 'Partner Deal Buttons Disabled': true })
+      .catch(e => console.error(`Failed to flag unit order ${unit.recordId} as claimed:`, e));
+  }
 
-    return res.json({ ok: true });
-  } catch (err) {
-    console.error('Error in /partner-deal/disable:', err);
-    return res.status(500).json({ error: 'Internal error.' });
+  if (claimed.length > 0) {
+    await updateDealUnits(deal.groupId, claimed.map(unit => unit.recordId), { claimed: true });
+    await refreshMultiUnitDealMessages(deal.groupId);
   }
-});
+
+  return claimed;
+}
+
+/* ---------------- Discord Interaction Logic ---------------- */
 
 /**
- * POST /interface-claim
- * → Claim a deal from Airtable Interface / Automation
- *
- * Expected body:
- * {
- *   "orderRecordId": "<Airtable record id from Unfulfilled Orders Log>",
- *   "sellerCode": "SE-00001"
- * }
+ * Resolve the seller linked to the user behind an interaction.
+ * Replies with the refusal reason and returns null if there is none.
  */
-app.post('/interface-claim', async (req, res) => {
-  try {
-    const { orderRecordId, sellerCode } = req.body || {};
-
-    if (!orderRecordId || !sellerCode) {
-      return res.status(400).json({ error: 'Missing orderRecordId or sellerCode' });
-    }
+async function requireLinkedSeller(interaction) {
+  const { seller, error } = await resolveLinkedSeller(interaction.user.id);
+  if (seller) return seller;
+
+  if (interaction.deferred) {
+    await interaction.editReply(error);
+  } else {
+    await interaction.reply({ content: error, ephemeral: true });
+  }
+  return null;
+}
 
-    // 1) Find seller record
-    const sellerRecordId = await findSellerRecordIdByCode(sellerCode);
-    if (!sellerRecordId) {
-      return res.status(400).json({ error: `No seller found for code ${sellerCode}` });
-    }
+client.on(Events.InteractionCreate, async interaction => {
+  try {
+    /* ---------- SLASH COMMANDS ---------- */
+    if (interaction.isChatInputCommand()) {
+      if (interaction.commandName === 'link-seller') {
+        await handleLinkSellerCommand(interaction);
+        return;
+      }
 
-    // 2) Load the order from "Unfulfilled Orders Log"
-    let order;
-    try {
-      order = await base(ordersTableName).find(orderRecordId);
-    } catch (e) {
-      console.error('Failed to load order record:', e);
-      return res.status(404).json({ error: 'Order record not found' });
-    }
+      if (interaction.commandName === 'deal') {
+        await handleDealAdminCommand(interaction);
+        return;
+      }
 
-    // 🔹 Field names from Unfulfilled Orders Log
-    const productName = order.get('Product Name');
-    const sku         = order.get('SKU');
-    const size        = order.get('Size');
-    const brand       = order.get('Brand');
+      if (['mydeals', 'myoffers', 'claimstatus', 'unclaim', 'watch'].includes(interaction.commandName)) {
+        await interaction.deferReply({ ephemeral: true });
 
-    // 🔹 Payout field (Target Outsource Buying Price)
-    const payoutRaw   = order.get('Target Outsource Buying Price');
-    const startPayout = parseNumericField(payoutRaw);
-    const dealId      = order.get('Order ID') || orderRecordId;
+        const seller = await requireLinkedSeller(interaction);
+        if (!seller) return;
 
-    if (!Number.isFinite(startPayout)) {
-      return res.status(400).json({ error: 'Invalid or missing Target Outsource Buying Price on order record' });
+        if (interaction.commandName === 'mydeals') {
+          await interaction.editReply(await buildMyDealsPage(seller, 0));
+        } else if (interaction.commandName === 'myoffers') {
+          await interaction.editReply(await buildMyOffersPage(seller, 0));
+        } else if (interaction.commandName === 'unclaim') {
+          await handleUnclaimCommand(interaction, seller);
+        } else if (interaction.commandName === 'watch') {
+          await handleWatchCommand(interaction);
+        } else {
+          await handleClaimStatusCommand(interaction, seller);
+        }
+      }
+      return;
     }
 
-    // 3) Create Inventory Unit – same as Discord claim logic
-    const fields = {
-      'Product Name': productName,
-      'SKU': sku,
-      'Size': size,
-      'Brand': brand,
-      'VAT Type': 'Margin',
-      'Purchase Price': startPayout,
-      'Shipping Deduction': 0,
-      'Ticket Number': dealId,
-      'Purchase Date': new Date().toISOString().split('T')[0],
-      'Source': 'Outsourced',
-      'Verification Status': 'Verified',
-      'Payment Note': startPayout.toFixed(2).replace('.', ','),
-      'Payment Status': 'To Pay',
-      'Availability Status': 'Reserved',
-      'Margin %': '10%',
-      'Type': 'Custom',
-      'Seller ID': [sellerRecordId],
-      'Unfulfilled Orders Log': [orderRecordId]
-    };
+    /* ---------- BUTTONS ---------- */
+    if (interaction.isButton()) {
+      /* ---- PARTNER LIST PAGINATION ---- */
+      const [buttonPrefix, buttonArg] = interaction.customId.split(':');
+      if (['mydeals_page', 'myoffers_page'].includes(buttonPrefix)) {
+        await interaction.deferUpdate();
+
+        const seller = await requireLinkedSeller(interaction);
+        if (!seller) return;
+
+        const page = Number(buttonArg) || 0;
+        await interaction.editReply(
+          buttonPrefix === 'mydeals_page'
+            ? await buildMyDealsPage(seller, page)
+            : await buildMyOffersPage(seller, page)
+        );
+        return;
+      }
 
-    // 🔒 Safety: avoid double-creation if already claimed for this seller+order
-    const alreadyExists = await inventoryUnitExistsForOrderAndSeller(
-      orderRecordId,
-      sellerRecordId
-    );
-    if (alreadyExists) {
-      console.warn(
-        `⚠️ Inventory unit already exists for order ${orderRecordId} and seller ${sellerRecordId}, skipping creation.`
-      );
-    } else {
-      await base(inventoryTableName).create(fields);
-    }
+      /* ---- STAFF: ACCEPT / REJECT OFFER ---- */
+      if (['offer_accept', 'offer_reject'].includes(buttonPrefix)) {
+        if (!isAdminInteraction(interaction)) {
+          await interaction.reply({ content: '❌ You are not allowed to manage offers.', ephemeral: true });
+          return;
+        }
 
-    // 4) Seller webhook
-    const sellerWebhookUrl = await getSellerWebhookUrlByRecordId(sellerRecordId);
-    await sendSellerClaimWebhook({
-      webhookUrl: sellerWebhookUrl,
-      productName,
-      sku,
-      size,
-      brand,
-      sellerCode,
-      startPayout,
-      dealId
-    });
+        await interaction.deferReply({ ephemeral: true });
 
-    // 5) Disable Discord buttons for this order
-    try {
-      await disableDealMessagesForRecord(orderRecordId);
-      await base(ordersTableName).update(orderRecordId, {
-        'Partner Deal Buttons Disabled': true
-      });
-    } catch (e) {
-      console.error('Failed to disable deal messages / update order flag:', e);
-    }
+        if (buttonPrefix === 'offer_reject') {
+          await rejectOffer(buttonArg, interaction.user.tag);
+          await interaction.editReply('✅ Offer rejected.');
+          return;
+        }
 
-    // 6) Notify Make (if configured)
-    await sendMakeClaimMakeWebhook(orderRecordId);
+        const result = await acceptOffer({ offerRecordId: buttonArg, acceptedBy: interaction.user.tag });
+        await interaction.editReply(
+          result.ok
+            ? `✅ Offer accepted – seller \`${result.sellerCode}\` at €${result.price.toFixed(2)} (${result.vatType}).`
+            : `❌ ${result.error}`
+        );
+        return;
+      }
 
-    return res.json({
-      ok: true,
-      message: `Deal claimed for ${productName || ''} (${size || ''}) – seller ${sellerCode}`
-    });
-  } catch (err) {
-    console.error('Error in /interface-claim:', err);
-    return res.status(500).json({ error: 'Internal error.' });
-  }
-});
+      /* ---- CLAIM CONFIRMATION ---- */
+      if (['claim_confirm', 'claim_cancel'].includes(buttonPrefix)) {
+        await handleClaimConfirmationButton(interaction, buttonPrefix, buttonArg);
+        return;
+      }
 
-/* ---------------- Discord Interaction Logic ---------------- */
+      // Watch alert DMs carry the deal message ID in the custom ID
+      const fromAlert = Boolean(buttonArg);
+      const messageId = buttonArg || interaction.message.id;
 
-client.on(Events.InteractionCreate, async interaction => {
-  try {
-    /* ---------- BUTTONS ---------- */
-    if (interaction.isButton()) {
       if (
-        !dealsChannelIds.includes(interaction.channelId) ||
-        !['partner_claim', 'partner_offer'].includes(interaction.customId)
+        !isDealMessage(interaction.channelId, messageId) ||
+        !['partner_claim', 'partner_claim_vat', 'partner_offer'].includes(buttonPrefix)
       ) {
         return;
       }
 
-      const messageId = interaction.message.id;
-      const embed = interaction.message.embeds?.[0];
+      /* ---- CLAIM DEAL ---- */
+      if (buttonPrefix === 'partner_claim' || buttonPrefix === 'partner_claim_vat') {
+        // Snapshot the deal before any await: the claim is for the payout
+        // shown when the button was clicked, even if it escalates meanwhile
+        const dealAtClick = dealStore.data.deals[messageId] ? { ...dealStore.data.deals[messageId] } : null;
 
-      if (!embed) {
-        try {
-          await interaction.reply({
-            content: '❌ No deal embed found.',
-            ephemeral: true
-          });
-        } catch (err) {
-          if (err.code === 10062) {
-            console.warn('⚠️ Unknown/expired interaction (no embed), ignoring.');
-          } else {
-            throw err;
-          }
+        await interaction.deferReply({ ephemeral: true });
+
+        const msg = fromAlert ? await fetchDealMessage(messageId) : interaction.message;
+        if (!msg || isDealMessageClosed(msg)) {
+          await interaction.editReply('❌ This deal is no longer available.');
+          return;
         }
-        return;
-      }
 
-      if (interaction.customId === 'partner_claim') {
-        const modal = new ModalBuilder()
-          .setCustomId(`partner_claim_modal:${messageId}`)
-          .setTitle('Enter Seller ID');
+        const seller = await requireLinkedSeller(interaction);
+        if (!seller) return;
 
-        const sellerIdInput = new TextInputBuilder()
-          .setCustomId('seller_id')
-          .setLabel('Seller ID (e.g. 00001)')
-          .setStyle(TextInputStyle.Short)
-          .setRequired(true)
-          .setPlaceholder('00001');
+        const deal = dealAtClick || await getDealForMessage(messageId);
+        if (!deal) {
+          await interaction.editReply('❌ Could not find the details of this deal.');
+          return;
+        }
 
-        const row = new ActionRowBuilder().addComponents(sellerIdInput);
-        modal.addComponents(row);
+        const accessError = getDealAccessError(deal, seller);
+        if (accessError) {
+          await interaction.editReply(accessError);
+          return;
+        }
 
-        await interaction.showModal(modal);
+        if (isDealExpired(deal)) {
+          await interaction.editReply('❌ This deal has expired.');
+          return;
+        }
+
+        const vatType = buttonPrefix === 'partner_claim_vat' ? VAT_DEDUCTIBLE : VAT_MARGIN;
+
+        // High-value deals need a good enough reliability score
+        const scoreError = getClaimScoreError(seller, getPayoutForVatType(deal, VAT_MARGIN));
+        if (scoreError) {
+          await interaction.editReply(scoreError);
+          return;
+        }
+
+        const limitError = await getClaimLimitError(seller, { price: getPayoutForVatType(deal, vatType) });
+        if (limitError) {
+          await interaction.editReply(`❌ ${limitError}`);
+          return;
+        }
+
+        if (deal.units) {
+          await interaction.editReply(buildSizeSelectReply(deal, messageId, vatType));
+          return;
+        }
+
+        // Nothing is created until the partner confirms the summary
+        await requestClaimConfirmation(interaction, {
+          dealMessage: msg,
+          deal,
+          seller,
+          vatType,
+          price: getPayoutForVatType(deal, vatType)
+        });
         return;
       }
 
-      if (interaction.customId === 'partner_offer') {
+      /* ---- OFFER ---- */
+      if (buttonPrefix === 'partner_offer') {
+        // The modal must be the first response (3s window): the seller, access
+        // and whether the deal is still open are checked on submit
         const modal = new ModalBuilder()
           .setCustomId(`partner_offer_modal:${messageId}`)
-          .setTitle('Enter Seller ID & Offer');
-
-        const sellerIdInput = new TextInputBuilder()
-          .setCustomId('seller_id')
-          .setLabel('Seller ID (e.g. 00001)')
-          .setStyle(TextInputStyle.Short)
-          .setRequired(true)
-          .setPlaceholder('00001');
+          .setTitle('Enter Your Offer');
 
         const offerInput = new TextInputBuilder()
           .setCustomId('offer_price')
@@ -770,201 +4883,171 @@ client.on(Events.InteractionCreate, async interaction => {
           .setRequired(true)
           .setPlaceholder('140');
 
-        const row1 = new ActionRowBuilder().addComponents(sellerIdInput);
-        const row2 = new ActionRowBuilder().addComponents(offerInput);
+        const vatInput = new TextInputBuilder()
+          .setCustomId('vat_type')
+          .setLabel('VAT type (Margin / VAT)')
+          .setStyle(TextInputStyle.Short)
+          .setRequired(true)
+          .setValue(VAT_MARGIN);
 
-        modal.addComponents(row1, row2);
+        modal.addComponents(
+          new ActionRowBuilder().addComponents(offerInput),
+          new ActionRowBuilder().addComponents(vatInput)
+        );
 
         await interaction.showModal(modal);
         return;
       }
     }
 
-    /* ---------- MODALS ---------- */
-    if (interaction.isModalSubmit()) {
-      if (
-        !dealsChannelIds.includes(interaction.channelId) ||
-        !interaction.customId.startsWith('partner_')
-      ) {
+    /* ---------- SELECT MENUS (multi-unit claims) ---------- */
+    if (interaction.isStringSelectMenu()) {
+      const [prefix, messageId, vatKey, ...sizeParts] = interaction.customId.split(':');
+      if (!['multi_size', 'multi_qty'].includes(prefix) || !isDealMessage(interaction.channelId, messageId)) {
         return;
       }
 
-      const [prefix, messageId] = interaction.customId.split(':');
-
-      const channel = interaction.channel;
-      if (!channel || !channel.isTextBased()) {
-        await interaction.reply({
-          content: '❌ Could not find the original deal message.',
-          ephemeral: true
-        });
+      const deal = dealStore.data.deals[messageId];
+      if (!deal?.units) {
+        await interaction.update({ content: '❌ Could not find the details of this deal.', components: [] });
         return;
       }
 
-      const msg = await channel.messages.fetch(messageId).catch(() => null);
-      const embed = msg?.embeds?.[0];
+      const value = interaction.values[0];
+      const size  = prefix === 'multi_size' ? value : sizeParts.join(':');
+      const left  = getRemainingUnits(deal, size).length;
 
-      if (!embed || !embed.description) {
-        await interaction.reply({ content: '❌ Missing deal details.', ephemeral: true });
+      if (left === 0) {
+        await interaction.update(buildSizeSelectReply(deal, messageId, vatKey === 'vat' ? VAT_DEDUCTIBLE : VAT_MARGIN));
         return;
       }
 
-      const lines = embed.description.split('\n');
+      if (prefix === 'multi_size' && left > 1) {
+        await interaction.update(buildQuantitySelectReply(messageId, vatKey, size, left));
+        return;
+      }
 
-      const productName = getValueFromLines(lines, '**Product Name:**');
-      const sku         = getValueFromLines(lines, '**SKU:**');
-      const size        = getValueFromLines(lines, '**Size:**');
-      const brand       = getValueFromLines(lines, '**Brand:**');
-      const startPayout = parseFloat(
-        getValueFromLines(lines, '**Payout:**')
-          ?.replace('€', '')
-          ?.replace(',', '.') || '0'
-      );
+      await interaction.deferUpdate();
 
-      const dealId        = getValueFromLines(lines, '**Order ID:**') || messageId;
-      const orderRecordId = await findOrderRecordIdByMessageId(messageId);
+      const seller = await requireLinkedSeller(interaction);
+      if (!seller) return;
 
-      const sellerNumberRaw = interaction.fields.getTextInputValue('seller_id').trim();
+      const accessError = getDealAccessError(deal, seller);
+      if (accessError) {
+        await interaction.editReply({ content: accessError, components: [] });
+        return;
+      }
 
-      if (!/^\d+$/.test(sellerNumberRaw)) {
-        await interaction.reply({
-          content: '❌ Seller Number must contain digits only (no SE-, just the digits). Please try again.',
-          ephemeral: true
-        });
+      const vatType     = vatKey === 'vat' ? VAT_DEDUCTIBLE : VAT_MARGIN;
+      const dealMessage = await fetchDealMessage(messageId);
+      if (!dealMessage) {
+        await interaction.editReply({ content: '❌ This deal is no longer available.', components: [] });
         return;
       }
 
-      const sellerCode     = `SE-${sellerNumberRaw}`;
-      const sellerRecordId = await findSellerRecordIdByCode(sellerCode);
-      if (!sellerRecordId) {
-        await interaction.reply({
-          content: `❌ Could not find a seller with ID \`${sellerCode}\` in Sellers Database.`,
-          ephemeral: true
-        });
+      await requestClaimConfirmation(interaction, {
+        dealMessage,
+        deal,
+        seller,
+        vatType,
+        price: getPayoutForVatType(deal, vatType),
+        size,
+        quantity: prefix === 'multi_qty' ? Math.min(Number(value), left) : 1
+      });
+      return;
+    }
+
+    /* ---------- MODALS ---------- */
+    if (interaction.isModalSubmit()) {
+      if (!interaction.customId.startsWith('partner_')) {
         return;
       }
 
-      /* ---- CLAIM DEAL MODAL ---- */
-      if (prefix === 'partner_claim_modal') {
-        const fields = {
-          'Product Name': productName,
-          'SKU': sku,
-          'Size': size,
-          'Brand': brand,
-          'VAT Type': 'Margin',
-          'Purchase Price': startPayout,
-          'Shipping Deduction': 0,
-          'Ticket Number': dealId,
-          'Purchase Date': new Date().toISOString().split('T')[0],
-          'Source': 'Outsourced',
-          'Verification Status': 'Verified',
-          'Payment Note': startPayout.toFixed(2).replace('.', ','),
-          'Payment Status': 'To Pay',
-          'Availability Status': 'Reserved',
-          'Margin %': '10%',
-          'Type': 'Custom',
-          'Seller ID': [sellerRecordId]
-        };
+      const [prefix, messageId] = interaction.customId.split(':');
+      if (!isDealMessage(interaction.channelId, messageId)) {
+        return;
+      }
 
-        if (orderRecordId) {
-          fields['Unfulfilled Orders Log'] = [orderRecordId];
-
-          // 🔒 Safety: avoid double-creation if already claimed for this seller+order
-          const alreadyExists = await inventoryUnitExistsForOrderAndSeller(
-            orderRecordId,
-            sellerRecordId
-          );
-          if (alreadyExists) {
-            console.warn(
-              `⚠️ Inventory unit already exists for order ${orderRecordId} and seller ${sellerRecordId}, skipping creation.`
-            );
-          } else {
-            await base(inventoryTableName).create(fields);
-          }
-        } else {
-          // No orderRecordId – we can’t de-duplicate by order, keep old behavior
-          await base(inventoryTableName).create(fields);
+      await interaction.deferReply({ ephemeral: true });
+
+      const deal = await getDealForMessage(messageId);
+      if (!deal) {
+        await interaction.editReply('❌ Missing deal details.');
+        return;
+      }
+
+      const { productName, size } = deal;
+      const orderRecordId = deal.recordId || null;
+
+      /* ---- OFFER MODAL ---- */
+      if (prefix === 'partner_offer_modal') {
+        const seller = await requireLinkedSeller(interaction);
+        if (!seller) return;
+
+        const accessError = getDealAccessError(deal, seller);
+        if (accessError) {
+          await interaction.editReply(accessError);
+          return;
         }
 
-        // 🔔 Send seller-specific webhook notification (doesn't affect claim success)
-        const sellerWebhookUrl = await getSellerWebhookUrlByRecordId(sellerRecordId);
-        await sendSellerClaimWebhook({
-          webhookUrl: sellerWebhookUrl,
-          productName,
-          sku,
-          size,
-          brand,
-          sellerCode,
-          startPayout,
-          dealId
-        });
+        if (isDealExpired(deal)) {
+          await interaction.editReply('❌ This deal has expired.');
+          return;
+        }
 
-        // Disable buttons across all copies for this order
+        // The deal may have been claimed, cancelled or awarded while the modal was open
         if (orderRecordId) {
-          try {
-            await disableDealMessagesForRecord(orderRecordId);
-            await base(ordersTableName).update(orderRecordId, {
-              'Partner Deal Buttons Disabled': true
-            });
-          } catch (e) {
-            console.error('Failed to globally disable buttons after claim:', e);
-          }
-
-          // 🔔 Notify Make for this claimed order
-          await sendMakeClaimMakeWebhook(orderRecordId);
-        } else {
-          // Fallback: disable only this message
-          try {
-            if (msg) {
-              const disabledComponents = msg.components.map(row =>
-                new ActionRowBuilder().addComponents(
-                  ...row.components.map(btn =>
-                    ButtonBuilder.from(btn).setDisabled(true)
-                  )
-                )
-              );
-              await msg.edit({ components: disabledComponents });
-            }
-          } catch (e) {
-            console.error('Failed to disable buttons after claim (no orderRecordId):', e);
+          const order = await base(ordersTableName).find(orderRecordId).catch(() => null);
+          if (!order || order.get('Partner Deal Buttons Disabled')) {
+            await interaction.editReply('❌ This deal is no longer available.');
+            return;
           }
         }
 
-        await interaction.reply({
-          content: `✅ Deal claimed for **${productName} (${size})**.\nSeller: \`${sellerCode}\``,
-          ephemeral: true
-        });
-        return;
-      }
+        const { id: sellerRecordId, code: sellerCode } = seller;
 
-      /* ---- OFFER MODAL ---- */
-      if (prefix === 'partner_offer_modal') {
         const rawOffer   = interaction.fields.getTextInputValue('offer_price').trim();
         const offerPrice = parseFloat(rawOffer.replace(',', '.') || '0');
 
         if (!Number.isFinite(offerPrice) || offerPrice <= 0) {
-          await interaction.reply({
-            content: '❌ Please enter a valid positive offer amount.',
-            ephemeral: true
+          await interaction.editReply({
+            content: '❌ Please enter a valid positive offer amount.'
           });
           return;
         }
 
-        // 🔻 Enforce undercut vs current lowest partner offer (Margin only)
+        const vatType = parseVatType(interaction.fields.getTextInputValue('vat_type'));
+        if (!vatType) {
+          await interaction.editReply({
+            content: '❌ Please enter **Margin** or **VAT** as the VAT type.'
+          });
+          return;
+        }
+        const offerNet = toNetPrice(offerPrice, vatType);
+
+        const auction = orderRecordId ? activeAuctions.get(orderRecordId) : null;
+        if (auction && (auction.closing || Date.now() >= auction.endsAt)) {
+          await interaction.editReply({
+            content: '❌ This auction has ended. No more offers are accepted.'
+          });
+          return;
+        }
+
+        // 🔻 Enforce undercut vs current lowest partner offer (compared on net prices)
         if (orderRecordId) {
           const lowestExisting = await getCurrentLowestPartnerOffer(orderRecordId);
 
           if (lowestExisting != null) {
             const maxAllowed = lowestExisting - MIN_UNDERCUT_STEP;
 
-            if (!(offerPrice <= maxAllowed + 1e-9)) {
-              const refStr = `€${lowestExisting.toFixed(2)}`;
-              const maxStr = `€${maxAllowed.toFixed(2)}`;
-              await interaction.reply({
+            if (!(offerNet <= maxAllowed + 1e-9)) {
+              const refStr = formatNetPrice(lowestExisting);
+              const maxStr = `€${fromNetPrice(maxAllowed, vatType).toFixed(2)} ${vatType}`;
+              await interaction.editReply({
                 content:
                   `❌ Your offer is too high.\n` +
                   `Current lowest offer: **${refStr}**.\n` +
-                  `Your offer must be at least **€${MIN_UNDERCUT_STEP.toFixed(2)}** lower (≤ **${maxStr}**).`,
-                ephemeral: true
+                  `Your offer must be at least **€${MIN_UNDERCUT_STEP.toFixed(2)}** lower net (≤ **${maxStr}**).`
               });
               return;
             }
@@ -973,6 +5056,7 @@ client.on(Events.InteractionCreate, async interaction => {
 
         const fields = {
           'Partner Offer': offerPrice,
+          'VAT Type': vatType,
           'Offer Date': new Date().toISOString().split('T')[0],
           'Seller ID': [sellerRecordId]
         };
@@ -981,15 +5065,31 @@ client.on(Events.InteractionCreate, async interaction => {
           fields['Linked Orders'] = [orderRecordId];
         }
 
-        await base(partnerOffersTableName).create(fields);
+        const offerRecord = await base(partnerOffersTableName).create(fields);
+        indexPartnerOfferRecord(offerRecord);
+        await recordSellerEvent(sellerRecordId, 'offer', { orderRecordId, offerRecordId: offerRecord.id });
 
-        await interaction.reply({
+        postOfferToStaffFeed({ offerRecordId: offerRecord.id, deal, seller, price: offerPrice, vatType })
+          .catch(e => console.error('Failed to post offer to the staff feed:', e));
+
+        await interaction.editReply({
           content:
             `✅ Offer submitted for **${productName} (${size})**.\n` +
             `Seller: \`${sellerCode}\`\n` +
-            `Offer: €${offerPrice.toFixed(2)}`,
-          ephemeral: true
+            `Offer: €${offerPrice.toFixed(2)} (${vatType})`
         });
+
+        // 📣 Show the new lowest offer / count on every copy of the deal
+        if (orderRecordId) {
+          try {
+            if (auction) {
+              await extendAuctionIfSniped(orderRecordId);
+            }
+            await refreshDealStatusForRecord(orderRecordId);
+          } catch (e) {
+            console.error('Failed to refresh deal messages after offer:', e);
+          }
+        }
         return;
       }
     }